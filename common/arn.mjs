@@ -0,0 +1,130 @@
+'use strict';
+/**
+ * Shared helpers to parse and validate the ARNs and regions handled by the custom resources, in every partition:
+ * aws, aws-cn (China) and aws-us-gov (GovCloud).
+ **/
+
+// Console domain of each partition, the partition of a region is found from its prefix.
+const PARTITIONS = {
+    "aws": { regionPrefix: "", consoleDomain: "console.aws.amazon.com" },
+    "aws-cn": { regionPrefix: "cn-", consoleDomain: "console.amazonaws.cn" },
+    "aws-us-gov": { regionPrefix: "us-gov-", consoleDomain: "console.amazonaws-us-gov.com" }
+};
+// ex: us-east-1, ap-southeast-3, cn-northwest-1, us-gov-west-1
+const REGION_REGEX = /^[a-z]{2}(-[a-z]+)+-\d+$/;
+const ACCOUNT_ID_REGEX = /^\d{12}$/;
+// ex: arn:aws-us-gov:ram:us-gov-west-1:123456789012:resource-share/1a621be9-7c74-4607-af80-5fe0275af5a0
+// captures the partition, service, region, account id and resource, region and account id may be empty
+const ARN_CAPTURE_REGEX = /^arn:([a-z-]+):([a-z0-9-]+):([^:]*):([^:]*):(.+)$/;
+
+/**
+ * Get the partition of region. Throws error if region is not a valid region name.
+ */
+export function getPartition(region) {
+    validateRegion(region);
+    const partition = Object.keys(PARTITIONS)
+        .find(name => PARTITIONS[name].regionPrefix !== "" && region.startsWith(PARTITIONS[name].regionPrefix));
+    return partition ?? "aws";
+}
+
+export function isValidRegion(region) {
+    return typeof region === "string" && REGION_REGEX.test(region);
+}
+
+export function validateRegion(region) {
+    if (!isValidRegion(region)) {
+        throw new Error(`Invalid region: ${region}.`);
+    }
+}
+
+export function isValidAccountId(accountId) {
+    return typeof accountId === "string" && ACCOUNT_ID_REGEX.test(accountId);
+}
+
+/**
+ * Parse arn into {Partition, Service, Region, AccountId, Resource}. Returns undefined if arn is not an arn of a known
+ * partition, if its region or account id is malformed, or if its region is not in its partition.
+ */
+export function parseArn(arn) {
+    const captured = ARN_CAPTURE_REGEX.exec(`${arn ?? ""}`);
+    if (!captured) {
+        return undefined;
+    }
+    const [, partition, service, region, accountId, resource] = captured;
+    if (!PARTITIONS[partition]) {
+        return undefined;
+    }
+    if (region !== "" && (!isValidRegion(region) || getPartition(region) !== partition)) {
+        return undefined;
+    }
+    if (accountId !== "" && !isValidAccountId(accountId)) {
+        return undefined;
+    }
+    return { Partition: partition, Service: service, Region: region, AccountId: accountId, Resource: resource };
+}
+
+/**
+ * Parse arn like parseArn, and also check that it is an arn of service with a region and an account id, and that its
+ * resource starts with resourcePrefix. Returns undefined otherwise.
+ */
+export function parseServiceArn(arn, service, resourcePrefix) {
+    const parsed = parseArn(arn);
+    if (!parsed || parsed.Service !== service || parsed.Region === "" || parsed.AccountId === ""
+        || !parsed.Resource.startsWith(resourcePrefix)) {
+        return undefined;
+    }
+    return parsed;
+}
+
+/**
+ * Parse a Glue database arn, ex: arn:aws:glue:us-west-2:123456789012:database/amazon_security_lake_glue_db_us_west_2,
+ * into {Partition, Region, AccountId, DatabaseName}. Returns undefined if arn is not a Glue database arn.
+ */
+export function parseGlueDatabaseArn(arn) {
+    const parsed = parseServiceArn(arn, "glue", "database/");
+    const databaseName = parsed?.Resource.slice("database/".length);
+    if (!databaseName || databaseName.includes("/")) {
+        return undefined;
+    }
+    return { Partition: parsed.Partition, Region: parsed.Region, AccountId: parsed.AccountId, DatabaseName: databaseName };
+}
+
+/**
+ * Parse a Glue table arn, ex: arn:aws:glue:us-west-2:123456789012:table/amazon_security_lake_glue_db_us_west_2/amazon_security_lake_table_us_west_2_cloud_trail_mgmt_2_0,
+ * into {Partition, Region, AccountId, DatabaseName, TableName}. Returns undefined if arn is not a Glue table arn.
+ */
+export function parseGlueTableArn(arn) {
+    const parsed = parseServiceArn(arn, "glue", "table/");
+    const [databaseName, ...tableNameParts] = parsed?.Resource.slice("table/".length).split("/") ?? [];
+    const tableName = tableNameParts.join("/");
+    if (!databaseName || !tableName) {
+        return undefined;
+    }
+    return { Partition: parsed.Partition, Region: parsed.Region, AccountId: parsed.AccountId, DatabaseName: databaseName, TableName: tableName };
+}
+
+/**
+ * Parse a CloudFormation stack id, ex: arn:aws:cloudformation:us-west-2:123456789012:stack/stack-name/guid,
+ * into {Partition, Region, AccountId}. Returns undefined if stackId is not a stack arn.
+ */
+export function parseStackArn(stackId) {
+    const parsed = parseServiceArn(stackId, "cloudformation", "stack/");
+    return parsed && { Partition: parsed.Partition, Region: parsed.Region, AccountId: parsed.AccountId };
+}
+
+/**
+ * Whether principal is an IAM arn, ex: arn:aws:iam::123456789012:role/Analyst, of accountId in partition.
+ */
+export function isIamPrincipalArn(principal, partition, accountId) {
+    const parsed = parseArn(principal);
+    return !!parsed && parsed.Service === "iam" && parsed.Region === "" && parsed.Partition === partition
+        && parsed.AccountId === accountId;
+}
+
+/**
+ * Build the link to path, ex: cloudwatch/home, in the AWS console of the partition of region.
+ */
+export function buildConsoleUrl(region, path) {
+    const partition = isValidRegion(region) ? getPartition(region) : "aws";
+    return `https://${PARTITIONS[partition].consoleDomain}/${path}`;
+}
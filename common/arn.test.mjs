@@ -0,0 +1,96 @@
+'use strict';
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    getPartition,
+    isValidAccountId,
+    parseArn,
+    parseGlueDatabaseArn,
+    parseGlueTableArn,
+    parseStackArn,
+    isIamPrincipalArn,
+    buildConsoleUrl
+} from "./arn.mjs";
+
+test("getPartition finds the partition of a region from its prefix", () => {
+    assert.equal(getPartition("us-east-1"), "aws");
+    assert.equal(getPartition("ap-southeast-3"), "aws");
+    assert.equal(getPartition("cn-northwest-1"), "aws-cn");
+    assert.equal(getPartition("us-gov-west-1"), "aws-us-gov");
+    assert.throws(() => getPartition("us-east"), /Invalid region: us-east\./);
+});
+
+test("isValidAccountId only accepts 12 digits", () => {
+    assert.equal(isValidAccountId("123456789012"), true);
+    assert.equal(isValidAccountId("12345678901"), false);
+    assert.equal(isValidAccountId(123456789012), false);
+});
+
+test("parseArn parses the arns of every partition", () => {
+    assert.deepEqual(parseArn("arn:aws-us-gov:ram:us-gov-west-1:123456789012:resource-share/a"), {
+        Partition: "aws-us-gov",
+        Service: "ram",
+        Region: "us-gov-west-1",
+        AccountId: "123456789012",
+        Resource: "resource-share/a"
+    });
+    assert.deepEqual(parseArn("arn:aws:iam::123456789012:role/Analyst"), {
+        Partition: "aws",
+        Service: "iam",
+        Region: "",
+        AccountId: "123456789012",
+        Resource: "role/Analyst"
+    });
+});
+
+test("parseArn rejects unknown partitions, malformed fields and regions of another partition", () => {
+    assert.equal(parseArn("arn:aws-xx:ram:us-east-1:123456789012:resource-share/a"), undefined);
+    assert.equal(parseArn("arn:aws:ram:useast1:123456789012:resource-share/a"), undefined);
+    assert.equal(parseArn("arn:aws:ram:us-east-1:1234:resource-share/a"), undefined);
+    assert.equal(parseArn("arn:aws:ram:cn-north-1:123456789012:resource-share/a"), undefined);
+    assert.equal(parseArn("not an arn"), undefined);
+    assert.equal(parseArn(undefined), undefined);
+});
+
+test("parseGlueDatabaseArn and parseGlueTableArn read the names of the resource", () => {
+    assert.deepEqual(parseGlueDatabaseArn("arn:aws:glue:us-west-2:123456789012:database/amazon_security_lake_glue_db_us_west_2"), {
+        Partition: "aws",
+        Region: "us-west-2",
+        AccountId: "123456789012",
+        DatabaseName: "amazon_security_lake_glue_db_us_west_2"
+    });
+    assert.equal(parseGlueDatabaseArn("arn:aws:glue:us-west-2:123456789012:database/a/b"), undefined);
+    assert.equal(parseGlueDatabaseArn("arn:aws:glue:us-west-2:123456789012:table/a/b"), undefined);
+    assert.deepEqual(parseGlueTableArn("arn:aws:glue:us-west-2:123456789012:table/db/table"), {
+        Partition: "aws",
+        Region: "us-west-2",
+        AccountId: "123456789012",
+        DatabaseName: "db",
+        TableName: "table"
+    });
+    assert.equal(parseGlueTableArn("arn:aws:glue:us-west-2:123456789012:table/db"), undefined);
+});
+
+test("parseStackArn needs a stack of a region and an account", () => {
+    assert.deepEqual(parseStackArn("arn:aws-cn:cloudformation:cn-north-1:123456789012:stack/name/guid"), {
+        Partition: "aws-cn",
+        Region: "cn-north-1",
+        AccountId: "123456789012"
+    });
+    assert.equal(parseStackArn("arn:aws:cloudformation::123456789012:stack/name/guid"), undefined);
+    assert.equal(parseStackArn("arn:aws:cloudformation:us-east-1:123456789012:changeSet/name/guid"), undefined);
+});
+
+test("isIamPrincipalArn checks the partition and account of the principal", () => {
+    assert.equal(isIamPrincipalArn("arn:aws:iam::123456789012:role/Analyst", "aws", "123456789012"), true);
+    assert.equal(isIamPrincipalArn("arn:aws:iam::123456789012:role/Analyst", "aws-cn", "123456789012"), false);
+    assert.equal(isIamPrincipalArn("arn:aws:iam::123456789012:role/Analyst", "aws", "210987654321"), false);
+    assert.equal(isIamPrincipalArn("arn:aws:sts::123456789012:assumed-role/Analyst/session", "aws", "123456789012"), false);
+});
+
+test("buildConsoleUrl links to the console of the partition", () => {
+    assert.equal(buildConsoleUrl("us-east-1", "cloudwatch/home"), "https://console.aws.amazon.com/cloudwatch/home");
+    assert.equal(buildConsoleUrl("cn-north-1", "cloudwatch/home"), "https://console.amazonaws.cn/cloudwatch/home");
+    assert.equal(buildConsoleUrl("us-gov-east-1", "cloudwatch/home"), "https://console.amazonaws-us-gov.com/cloudwatch/home");
+    assert.equal(buildConsoleUrl(undefined, "cloudwatch/home"), "https://console.aws.amazon.com/cloudwatch/home");
+});
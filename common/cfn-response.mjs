@@ -0,0 +1,130 @@
+'use strict';
+/**
+ * Shared module that sends the result of a custom resource request back to CloudFormation.
+ **/
+import https from "https";
+import { buildConsoleUrl } from "./arn.mjs";
+
+// CloudFormation rejects response bodies larger than 4096 bytes.
+const MAX_RESPONSE_BODY_BYTES = 4096;
+const TRUNCATED_REASON_SUFFIX = "...";
+const MAX_SEND_ATTEMPTS = 5;
+const INITIAL_RETRY_DELAY_MILLIS = 1000;
+const REQUEST_TIMEOUT_MILLIS = 10000;
+
+/**
+ * Send response to the pre-signed S3 URL, retrying network errors and 5xx responses. data is readable through
+ * Fn::GetAtt and masked in logs with noEcho. Throws if the response could not be delivered.
+ */
+export async function sendResponse(event, context, responseStatus, { physicalResourceId, reason, data, noEcho } = {}) {
+    const responseBody = buildResponseBody(event, context, responseStatus, physicalResourceId, reason, data, noEcho);
+    const loggedBody = noEcho ? { ...responseBody, Data: "*****" } : responseBody;
+    console.log("RESPONSE BODY:\n", JSON.stringify(loggedBody));
+
+    console.log("SENDING RESPONSE...\n");
+    const serializedBody = JSON.stringify(responseBody);
+    let delay = INITIAL_RETRY_DELAY_MILLIS;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await putResponse(event.ResponseURL, serializedBody);
+            return;
+        } catch (error) {
+            if (!error.retryable || attempt >= MAX_SEND_ATTEMPTS) {
+                console.error("sendResponse Error:" + error);
+                throw error;
+            }
+            console.warn(`sendResponse attempt ${attempt} failed, retrying in ${delay} ms: ${error}`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            delay *= 2;
+        }
+    }
+}
+
+/**
+ * Build the response body, cutting the reason down until the body fits in MAX_RESPONSE_BODY_BYTES.
+ */
+function buildResponseBody(event, context, responseStatus, physicalResourceId, reason, data, noEcho) {
+    const responseBody = {
+        Status: responseStatus,
+        Reason: composeReason(context, reason),
+        PhysicalResourceId: physicalResourceId ?? context.logStreamName,
+        StackId: event.StackId,
+        RequestId: event.RequestId,
+        LogicalResourceId: event.LogicalResourceId,
+        NoEcho: !!noEcho,
+        Data: data ?? {}
+    };
+
+    let reasonText = reason === undefined ? undefined : `${reason}`;
+    let overflow = Buffer.byteLength(JSON.stringify(responseBody)) - MAX_RESPONSE_BODY_BYTES;
+    while (overflow > 0 && !!reasonText) {
+        const maxReasonBytes = Buffer.byteLength(reasonText) - overflow - Buffer.byteLength(TRUNCATED_REASON_SUFFIX);
+        reasonText = maxReasonBytes > 0 ? truncateToBytes(reasonText, maxReasonBytes) + TRUNCATED_REASON_SUFFIX : "";
+        responseBody.Reason = composeReason(context, reasonText);
+        overflow = Buffer.byteLength(JSON.stringify(responseBody)) - MAX_RESPONSE_BODY_BYTES;
+    }
+    if (overflow > 0) {
+        console.error(`Response body exceeds ${MAX_RESPONSE_BODY_BYTES} bytes even without reason, CloudFormation may reject it.`);
+    }
+    return responseBody;
+}
+
+/**
+ * Cut text down to at most maxBytes UTF-8 bytes without splitting a multi-byte character.
+ */
+function truncateToBytes(text, maxBytes) {
+    return Buffer.from(text).subarray(0, maxBytes).toString().replace(/\uFFFD+$/, "");
+}
+
+function putResponse(responseUrl, serializedBody) {
+    return new Promise((resolve, reject) => {
+        const parsedUrl = new URL(responseUrl);
+        const options = {
+            hostname: parsedUrl.hostname,
+            port: 443,
+            path: parsedUrl.pathname + parsedUrl.search,
+            method: "PUT",
+            timeout: REQUEST_TIMEOUT_MILLIS,
+            headers: {
+                "content-type": "",
+                "content-length": Buffer.byteLength(serializedBody)
+            }
+        };
+
+        const request = https.request(options, function (response) {
+            response.resume();
+            if (response.statusCode >= 500) {
+                reject(sendResponseError(`CloudFormation response URL returned status ${response.statusCode}.`, true));
+            } else if (response.statusCode >= 300) {
+                reject(sendResponseError(`CloudFormation response URL returned status ${response.statusCode}.`, false));
+            } else {
+                resolve();
+            }
+        });
+
+        request.on("timeout", function () {
+            request.destroy(new Error(`Request timed out after ${REQUEST_TIMEOUT_MILLIS} ms.`));
+        });
+
+        request.on("error", function (error) {
+            reject(sendResponseError(error.message, true));
+        });
+
+        // write data to request body
+        request.write(serializedBody);
+        request.end();
+    });
+}
+
+function sendResponseError(message, retryable) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    return error;
+}
+
+export function composeReason(context, reason) {
+    const region = process.env.AWS_REGION;
+    const cwLogUrl = buildConsoleUrl(region, `cloudwatch/home?region=${region}#logEventViewer:group=${context.logGroupName};stream=${context.logStreamName}`);
+    const cwLogStreamMessage = `See the details in CloudWatch Log Stream: ${cwLogUrl}`;
+    return reason ? `${reason} ${cwLogStreamMessage}` : `${cwLogStreamMessage}`;
+}
@@ -0,0 +1,57 @@
+'use strict';
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { sendResponse, composeReason } from "./cfn-response.mjs";
+import { context, mockCloudFormationResponses } from "./test-support.mjs";
+
+process.env.AWS_REGION = "us-east-1";
+
+const event = {
+    StackId: "arn:aws:cloudformation:us-east-1:222222222222:stack/stack/1",
+    RequestId: "request",
+    LogicalResourceId: "GlueDatabase",
+    ResponseURL: "https://example.com/response?signature=a"
+};
+
+afterEach(() => mock.restoreAll());
+
+test("sendResponse sends the status, reason and data of the request", async () => {
+    const responses = mockCloudFormationResponses();
+    await sendResponse(event, context, "SUCCESS", { physicalResourceId: "database", data: { DatabaseName: "db" } });
+    assert.deepEqual(responses, [{
+        Status: "SUCCESS",
+        Reason: composeReason(context, undefined),
+        PhysicalResourceId: "database",
+        StackId: event.StackId,
+        RequestId: event.RequestId,
+        LogicalResourceId: event.LogicalResourceId,
+        NoEcho: false,
+        Data: { DatabaseName: "db" }
+    }]);
+});
+
+test("sendResponse defaults the physical resource id to the log stream name", async () => {
+    const responses = mockCloudFormationResponses();
+    await sendResponse(event, context, "FAILED", { reason: new Error("Access denied.") });
+    assert.equal(responses[0].PhysicalResourceId, context.logStreamName);
+    assert.match(responses[0].Reason, /^Error: Access denied\. See the details in CloudWatch Log Stream: https:\/\/console\.aws\.amazon\.com\//);
+});
+
+test("sendResponse cuts a long reason down to fit the response in 4096 bytes", async () => {
+    const responses = mockCloudFormationResponses();
+    await sendResponse(event, context, "FAILED", { reason: "é".repeat(5000) });
+    assert.ok(Buffer.byteLength(JSON.stringify(responses[0])) <= 4096);
+    assert.match(responses[0].Reason, /^é+\.\.\. See the details in CloudWatch Log Stream: /);
+});
+
+test("sendResponse retries a 5xx response", async () => {
+    const responses = mockCloudFormationResponses([503]);
+    await sendResponse(event, context, "SUCCESS");
+    assert.equal(responses.length, 2);
+});
+
+test("sendResponse does not retry a 4xx response", async () => {
+    const responses = mockCloudFormationResponses([403]);
+    await assert.rejects(sendResponse(event, context, "SUCCESS"), /returned status 403/);
+    assert.equal(responses.length, 1);
+});
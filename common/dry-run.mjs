@@ -0,0 +1,60 @@
+'use strict';
+/**
+ * Shared helpers for the DryRun property: a dry run does every read but no write, and reports the actions it would take.
+ **/
+
+// Physical resource id of a resource created by a dry run, which owns nothing.
+const DRY_RUN_PHYSICAL_RESOURCE_ID_PREFIX = "DryRun-";
+// The planned actions share the 4096 bytes of the CloudFormation response with the other attributes.
+const MAX_PLANNED_ACTIONS_BYTES = 1024;
+
+/**
+ * Whether the DryRun property of properties is set, either as a boolean or as the string "true". Delete ignores it,
+ * since CloudFormation drops the resource whatever the response.
+ */
+export function isDryRun(properties) {
+    const dryRun = properties?.DryRun;
+    return dryRun === true || `${dryRun}`.toLowerCase() === "true";
+}
+
+export function buildDryRunPhysicalResourceId(context) {
+    return DRY_RUN_PHYSICAL_RESOURCE_ID_PREFIX + context.logStreamName;
+}
+
+/**
+ * Whether physicalResourceId was returned by a dry run creation, which owns nothing: an update creates the resource
+ * again, for real unless DryRun is still set, and a delete has nothing to delete.
+ */
+export function isDryRunPhysicalResourceId(physicalResourceId) {
+    return `${physicalResourceId ?? ""}`.startsWith(DRY_RUN_PHYSICAL_RESOURCE_ID_PREFIX);
+}
+
+/**
+ * Log the planned actions and return them as response Data attributes. When they do not fit in the response,
+ * PlannedActions only counts them by action and the full list is in the logs.
+ */
+export function buildPlanData(plannedActions) {
+    console.log("PLANNED ACTIONS:\n", JSON.stringify(plannedActions));
+    let plannedActionsValue = JSON.stringify(plannedActions);
+    if (Buffer.byteLength(plannedActionsValue) > MAX_PLANNED_ACTIONS_BYTES) {
+        let actionCounts = {};
+        for (const plannedAction of plannedActions) {
+            actionCounts[plannedAction.Action] = (actionCounts[plannedAction.Action] ?? 0) + 1;
+        }
+        plannedActionsValue = JSON.stringify({ ActionCounts: actionCounts, Detail: "Every planned action is in the lambda logs." });
+    }
+    return {
+        DryRun: "true",
+        PlannedActions: plannedActionsValue
+    };
+}
+
+/**
+ * Whether oldProperties and newProperties only differ by DryRun, a change which has nothing to apply.
+ */
+export function onlyDryRunChanged(oldProperties, newProperties) {
+    const { DryRun: oldDryRun, ...oldOtherProperties } = oldProperties ?? {};
+    const { DryRun: newDryRun, ...newOtherProperties } = newProperties ?? {};
+    const propertyNames = new Set([...Object.keys(oldOtherProperties), ...Object.keys(newOtherProperties)]);
+    return [...propertyNames].every(name => JSON.stringify(oldOtherProperties[name]) === JSON.stringify(newOtherProperties[name]));
+}
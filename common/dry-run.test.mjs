@@ -0,0 +1,47 @@
+'use strict';
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    isDryRun,
+    buildDryRunPhysicalResourceId,
+    isDryRunPhysicalResourceId,
+    buildPlanData,
+    onlyDryRunChanged
+} from "./dry-run.mjs";
+import { context } from "./test-support.mjs";
+
+test("isDryRun accepts a boolean or the string true", () => {
+    assert.equal(isDryRun({ DryRun: true }), true);
+    assert.equal(isDryRun({ DryRun: "true" }), true);
+    assert.equal(isDryRun({ DryRun: "TRUE" }), true);
+    assert.equal(isDryRun({ DryRun: "false" }), false);
+    assert.equal(isDryRun({}), false);
+    assert.equal(isDryRun(undefined), false);
+});
+
+test("isDryRunPhysicalResourceId only recognizes the ids of a dry run creation", () => {
+    assert.equal(isDryRunPhysicalResourceId(buildDryRunPhysicalResourceId(context)), true);
+    assert.equal(isDryRunPhysicalResourceId("us-east-1/111111111111/amazon_security_lake_glue_db_us_east_1"), false);
+    assert.equal(isDryRunPhysicalResourceId(context.logStreamName), false);
+    assert.equal(isDryRunPhysicalResourceId(undefined), false);
+});
+
+test("onlyDryRunChanged ignores DryRun but no other property", () => {
+    const properties = { ResourceShareArn: ["arn:aws:ram:us-east-1:111111111111:resource-share/a"], DryRun: "true" };
+    assert.equal(onlyDryRunChanged(properties, { ...properties, DryRun: "false" }), true);
+    assert.equal(onlyDryRunChanged(properties, { ResourceShareArn: properties.ResourceShareArn }), true);
+    assert.equal(onlyDryRunChanged(properties, { ...properties, ResourceShareArn: [] }), false);
+    assert.equal(onlyDryRunChanged(properties, { ...properties, MaxListPages: "5" }), false);
+    assert.equal(onlyDryRunChanged(undefined, properties), false);
+});
+
+test("buildPlanData returns the planned actions", () => {
+    const plannedActions = [{ Action: "CreateDatabase", Region: "us-east-1", DatabaseName: "db" }];
+    assert.deepEqual(buildPlanData(plannedActions), { DryRun: "true", PlannedActions: JSON.stringify(plannedActions) });
+});
+
+test("buildPlanData only counts the planned actions when they do not fit in the response", () => {
+    const plannedActions = Array.from({ length: 50 }, (_, index) => ({ Action: index % 5 ? "GrantSelect" : "PutParameter", Index: index }));
+    const plannedActionsValue = JSON.parse(buildPlanData(plannedActions).PlannedActions);
+    assert.deepEqual(plannedActionsValue.ActionCounts, { PutParameter: 10, GrantSelect: 40 });
+});
@@ -0,0 +1,43 @@
+'use strict';
+/**
+ * Shared helpers to build the report returned by the HealthCheck request of each lambda, which is invoked directly to
+ * diagnose an integration. Every check passes, fails or is inconclusive, and a failed check tells how to fix it.
+ **/
+
+export const CHECK_PASSED = "PASS";
+export const CHECK_FAILED = "FAIL";
+export const CHECK_INCONCLUSIVE = "INCONCLUSIVE";
+
+/**
+ * Run check, an async function returning {passed, inconclusive, detail, drift}, and add its result to checks.
+ * A check which throws fails with the error as detail. remediation is only reported for failed checks.
+ */
+export async function runCheck(checks, name, remediation, check) {
+    let result;
+    try {
+        result = await check();
+    } catch (error) {
+        console.error(`Check ${name} failed.`, error);
+        result = { passed: false, detail: `${error}` };
+    }
+    checks.push({
+        Name: name,
+        Status: result.passed ? CHECK_PASSED : result.inconclusive ? CHECK_INCONCLUSIVE : CHECK_FAILED,
+        Detail: result.detail,
+        ...(result.drift ? { Drift: result.drift } : {}),
+        ...(result.passed || result.inconclusive ? {} : { Remediation: remediation })
+    });
+}
+
+/**
+ * Build the health report of component, healthy when every check passed.
+ */
+export function buildHealthReport(component, checks) {
+    const report = {
+        Component: component,
+        Healthy: checks.every(check => check.Status === CHECK_PASSED),
+        Checks: checks
+    };
+    console.log("HEALTH REPORT:\n", JSON.stringify(report));
+    return report;
+}
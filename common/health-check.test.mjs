@@ -0,0 +1,32 @@
+'use strict';
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    runCheck,
+    buildHealthReport,
+    CHECK_PASSED,
+    CHECK_FAILED,
+    CHECK_INCONCLUSIVE
+} from "./health-check.mjs";
+
+test("runCheck reports the status of each check, and the remediation of failed ones", async () => {
+    let checks = [];
+    await runCheck(checks, "Passed", "Fix it.", async () => ({ passed: true, detail: "Fine." }));
+    await runCheck(checks, "Inconclusive", "Fix it.", async () => ({ passed: false, inconclusive: true, detail: "Unknown." }));
+    await runCheck(checks, "Failed", "Fix it.", async () => ({ passed: false, detail: "Broken.", drift: { Missing: ["a"] } }));
+    await runCheck(checks, "Thrown", "Fix it.", async () => { throw new Error("Access denied."); });
+    assert.deepEqual(checks, [
+        { Name: "Passed", Status: CHECK_PASSED, Detail: "Fine." },
+        { Name: "Inconclusive", Status: CHECK_INCONCLUSIVE, Detail: "Unknown." },
+        { Name: "Failed", Status: CHECK_FAILED, Detail: "Broken.", Drift: { Missing: ["a"] }, Remediation: "Fix it." },
+        { Name: "Thrown", Status: CHECK_FAILED, Detail: "Error: Access denied.", Remediation: "Fix it." }
+    ]);
+});
+
+test("buildHealthReport is healthy only when every check passed", () => {
+    const passed = { Name: "Passed", Status: CHECK_PASSED };
+    const inconclusive = { Name: "Inconclusive", Status: CHECK_INCONCLUSIVE };
+    assert.deepEqual(buildHealthReport("GlueDatabase", [passed]), { Component: "GlueDatabase", Healthy: true, Checks: [passed] });
+    assert.equal(buildHealthReport("GlueDatabase", [passed, inconclusive]).Healthy, false);
+    assert.equal(buildHealthReport("GlueDatabase", []).Healthy, true);
+});
@@ -0,0 +1,56 @@
+'use strict';
+/**
+ * Shared helpers to scope the SSM parameters of an integration under an optional namespace, so that several
+ * integrations, for example one per Detective behavior graph, can coexist in the same account and region.
+ **/
+import { parseServiceArn } from "./arn.mjs";
+
+const PARAMETER_ROOT = "/Detective/SLI";
+const NAMESPACE_REGEX = /^[a-zA-Z0-9_.-]{1,128}$/;
+// ex: arn:aws:detective:us-east-1:123456789012:graph:027c7c4610ea4aacaf0b883093cab899
+// captures the behavior graph id from the resource of the arn
+const GRAPH_RESOURCE_CAPTURE_REGEX = /^graph:([a-z0-9]+)$/;
+
+/**
+ * Parse the ParameterNamespace property, either a namespace name or a Detective behavior graph arn, whose graph id is used.
+ * Returns undefined when no namespace is given, which keeps the parameters directly under /Detective/SLI.
+ */
+export function parseParameterNamespace(value) {
+    if (value === undefined || value === null || `${value}`.trim() === "") {
+        return undefined;
+    }
+    const namespace = `${value}`.trim();
+    const graphArn = parseServiceArn(namespace, "detective", "graph:");
+    const graphId = graphArn && GRAPH_RESOURCE_CAPTURE_REGEX.exec(graphArn.Resource)?.[1];
+    if (graphId) {
+        return graphId;
+    }
+    if (!NAMESPACE_REGEX.test(namespace)) {
+        throw new Error(`Invalid ParameterNamespace: ${namespace}, use letters, digits, "_", "." or "-", or a behavior graph arn.`);
+    }
+    return namespace;
+}
+
+/**
+ * Move parameterName, a name under /Detective/SLI, under /Detective/SLI/<namespace>. Returns parameterName if namespace is undefined.
+ */
+export function scopeParameterName(parameterName, namespace) {
+    if (!namespace) {
+        return parameterName;
+    }
+    if (!parameterName.startsWith(`${PARAMETER_ROOT}/`)) {
+        throw new Error(`Parameter ${parameterName} is not under ${PARAMETER_ROOT}.`);
+    }
+    return `${PARAMETER_ROOT}/${namespace}${parameterName.slice(PARAMETER_ROOT.length)}`;
+}
+
+/**
+ * Parameters are moved when the namespace changes, and the old ones could not be found anymore to update or delete them,
+ * so changing it is not supported.
+ */
+export function validateParameterNamespaceUnchanged(oldProperties, namespace) {
+    const oldNamespace = parseParameterNamespace(oldProperties?.ParameterNamespace);
+    if (oldNamespace !== namespace) {
+        throw new Error(`ParameterNamespace cannot be changed from ${oldNamespace ?? "none"} to ${namespace ?? "none"}, please create a new stack instead.`);
+    }
+}
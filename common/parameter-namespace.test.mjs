@@ -0,0 +1,32 @@
+'use strict';
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    parseParameterNamespace,
+    scopeParameterName,
+    validateParameterNamespaceUnchanged
+} from "./parameter-namespace.mjs";
+
+test("parseParameterNamespace returns the namespace, or the graph id of a behavior graph arn", () => {
+    assert.equal(parseParameterNamespace(undefined), undefined);
+    assert.equal(parseParameterNamespace(" "), undefined);
+    assert.equal(parseParameterNamespace(" team-a "), "team-a");
+    assert.equal(parseParameterNamespace("arn:aws:detective:us-east-1:123456789012:graph:027c7c4610ea4aacaf0b883093cab899"),
+        "027c7c4610ea4aacaf0b883093cab899");
+    assert.throws(() => parseParameterNamespace("team/a"), /Invalid ParameterNamespace: team\/a/);
+    assert.throws(() => parseParameterNamespace("arn:aws:detective:us-east-1:123456789012:member:a"), /Invalid ParameterNamespace/);
+});
+
+test("scopeParameterName moves the parameter under the namespace", () => {
+    assert.equal(scopeParameterName("/Detective/SLI/TableNames", undefined), "/Detective/SLI/TableNames");
+    assert.equal(scopeParameterName("/Detective/SLI/TableNames", "team-a"), "/Detective/SLI/team-a/TableNames");
+    assert.throws(() => scopeParameterName("/Other/TableNames", "team-a"), /is not under \/Detective\/SLI/);
+});
+
+test("validateParameterNamespaceUnchanged rejects a namespace change", () => {
+    validateParameterNamespaceUnchanged({ ParameterNamespace: "team-a" }, "team-a");
+    validateParameterNamespaceUnchanged({}, undefined);
+    assert.throws(() => validateParameterNamespaceUnchanged({}, "team-a"), /cannot be changed from none to team-a/);
+    assert.throws(() => validateParameterNamespaceUnchanged({ ParameterNamespace: "team-a" }, undefined),
+        /cannot be changed from team-a to none/);
+});
@@ -0,0 +1,45 @@
+'use strict';
+/**
+ * Shared helpers to save the SSM parameters of an integration in the Standard tier, which is free of charge and limits
+ * values to 4 KB. Parameters saved in the Advanced tier by earlier versions keep their tier.
+ **/
+
+export const MAX_PARAMETER_VALUE_BYTES = 4096;
+// SSM cannot revert an Advanced parameter to Standard, PutParameter then fails with a ValidationException carrying this message.
+const ADVANCED_TIER_DOWNGRADE_ERROR_MESSAGE = "advanced-parameter tier";
+
+/**
+ * Call put with the Standard tier, or with the Advanced tier if parameterName already is an Advanced parameter.
+ */
+export async function putInStandardTier(parameterName, put) {
+    try {
+        return await put("Standard");
+    } catch (error) {
+        if (error.name !== "ValidationException" || !error.message?.includes(ADVANCED_TIER_DOWNGRADE_ERROR_MESSAGE)) {
+            throw error;
+        }
+        console.warn(`Parameter ${parameterName} is an Advanced parameter, which cannot be reverted to Standard, keeping its tier. Delete it to save it in the Standard tier again.`);
+        return await put("Advanced");
+    }
+}
+
+/**
+ * Split value into chunks of at most MAX_PARAMETER_VALUE_BYTES bytes, without splitting a character.
+ */
+export function splitParameterValue(value) {
+    let chunks = [];
+    let chunk = "";
+    let chunkBytes = 0;
+    for (const character of value) {
+        const characterBytes = Buffer.byteLength(character);
+        if (chunkBytes + characterBytes > MAX_PARAMETER_VALUE_BYTES) {
+            chunks.push(chunk);
+            chunk = "";
+            chunkBytes = 0;
+        }
+        chunk += character;
+        chunkBytes += characterBytes;
+    }
+    chunks.push(chunk);
+    return chunks;
+}
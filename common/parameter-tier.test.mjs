@@ -0,0 +1,46 @@
+'use strict';
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_PARAMETER_VALUE_BYTES, putInStandardTier, splitParameterValue } from "./parameter-tier.mjs";
+
+function validationException(message) {
+    return Object.assign(new Error(message), { name: "ValidationException" });
+}
+
+test("putInStandardTier puts in the Standard tier", async () => {
+    let tiers = [];
+    assert.equal(await putInStandardTier("/Detective/SLI/TableNames", async tier => { tiers.push(tier); return tier; }), "Standard");
+    assert.deepEqual(tiers, ["Standard"]);
+});
+
+test("putInStandardTier keeps the tier of an Advanced parameter", async () => {
+    let tiers = [];
+    const put = async tier => {
+        tiers.push(tier);
+        if (tier === "Standard") {
+            throw validationException("This parameter uses the advanced-parameter tier. You can't downgrade a parameter from the advanced-parameter tier to the standard-parameter tier.");
+        }
+    };
+    await putInStandardTier("/Detective/SLI/TableNames", put);
+    assert.deepEqual(tiers, ["Standard", "Advanced"]);
+});
+
+test("putInStandardTier throws other errors", async () => {
+    let tiers = [];
+    const put = async tier => {
+        tiers.push(tier);
+        throw validationException("Parameter value is too long.");
+    };
+    await assert.rejects(putInStandardTier("/Detective/SLI/TableNames", put), /Parameter value is too long\./);
+    assert.deepEqual(tiers, ["Standard"]);
+});
+
+test("splitParameterValue splits by bytes without splitting a character", () => {
+    assert.deepEqual(splitParameterValue(""), [""]);
+    assert.deepEqual(splitParameterValue("a".repeat(MAX_PARAMETER_VALUE_BYTES)), ["a".repeat(MAX_PARAMETER_VALUE_BYTES)]);
+    const value = "a".repeat(MAX_PARAMETER_VALUE_BYTES - 1) + "é".repeat(3);
+    const chunks = splitParameterValue(value);
+    assert.deepEqual(chunks, ["a".repeat(MAX_PARAMETER_VALUE_BYTES - 1), "é".repeat(3)]);
+    assert.equal(chunks.join(""), value);
+    assert.ok(chunks.every(chunk => Buffer.byteLength(chunk) <= MAX_PARAMETER_VALUE_BYTES));
+});
@@ -0,0 +1,44 @@
+'use strict';
+/**
+ * Shared helpers to read the RAM resource share arns given to the custom resources, one per Security Lake region.
+ **/
+import { parseServiceArn } from "./arn.mjs";
+
+// The acceptor role may only accept the invitations of the owner accounts of this many resource shares, see the template.
+const MAX_RESOURCE_SHARES = 20;
+
+/**
+ * Parse the resource share arns given either as an array or as a comma separated string. Throws error if there is
+ * no arn or more than MAX_RESOURCE_SHARES, if an arn is invalid or if two arns are in the same region.
+ */
+export function parseResourceShareArns(value) {
+    const entries = Array.isArray(value) ? value : `${value ?? ""}`.split(",");
+    const resourceShareArns = [...new Set(entries.map(entry => `${entry}`.trim()).filter(entry => entry.length > 0))];
+    if (resourceShareArns.length == 0) {
+        throw new Error("Invalid ResourceShareArn.");
+    }
+    if (resourceShareArns.length > MAX_RESOURCE_SHARES) {
+        throw new Error(`ResourceShareArn contains ${resourceShareArns.length} resource shares, at most ${MAX_RESOURCE_SHARES} are supported.`);
+    }
+    let arnsByRegion = {};
+    for (const resourceShareArn of resourceShareArns) {
+        const region = getResourceShareRegion(resourceShareArn);
+        if (arnsByRegion[region]) {
+            throw new Error(`ResourceShareArn contains several resource shares in region ${region}: ${arnsByRegion[region]}, ${resourceShareArn}.`);
+        }
+        arnsByRegion[region] = resourceShareArn;
+    }
+    return resourceShareArns;
+}
+
+/**
+ * Get the region of a resource share arn, ex: arn:aws:ram:us-east-2:123456789012:resource-share/1a621be9-7c74-4607-af80-5fe0275af5a0,
+ * where its invitation, resources and shared database live.
+ */
+export function getResourceShareRegion(resourceShareArn) {
+    const parsed = parseServiceArn(resourceShareArn, "ram", "resource-share/");
+    if (!parsed) {
+        throw new Error(`Invalid ResourceShareArn: ${resourceShareArn}.`);
+    }
+    return parsed.Region;
+}
@@ -0,0 +1,33 @@
+'use strict';
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseResourceShareArns, getResourceShareRegion } from "./resource-share.mjs";
+
+const EAST_ARN = "arn:aws:ram:us-east-1:111111111111:resource-share/a";
+const WEST_ARN = "arn:aws:ram:us-west-2:111111111111:resource-share/b";
+
+test("parseResourceShareArns accepts a list or a comma separated string", () => {
+    assert.deepEqual(parseResourceShareArns([EAST_ARN, WEST_ARN]), [EAST_ARN, WEST_ARN]);
+    assert.deepEqual(parseResourceShareArns(` ${EAST_ARN}, ${WEST_ARN},`), [EAST_ARN, WEST_ARN]);
+    assert.deepEqual(parseResourceShareArns(`${EAST_ARN},${EAST_ARN}`), [EAST_ARN]);
+});
+
+test("parseResourceShareArns rejects missing, invalid and same region arns", () => {
+    assert.throws(() => parseResourceShareArns(""), /Invalid ResourceShareArn\./);
+    assert.throws(() => parseResourceShareArns(undefined), /Invalid ResourceShareArn\./);
+    assert.throws(() => parseResourceShareArns("arn:aws:glue:us-east-1:111111111111:database/db"), /Invalid ResourceShareArn: /);
+    assert.throws(() => parseResourceShareArns([EAST_ARN, "arn:aws:ram:us-east-1:111111111111:resource-share/c"]),
+        /several resource shares in region us-east-1/);
+});
+
+test("parseResourceShareArns accepts at most 20 resource shares", () => {
+    const arns = Array.from({ length: 21 }, (_, index) => `arn:aws:ram:us-east-${index + 1}:111111111111:resource-share/a`);
+    assert.equal(parseResourceShareArns(arns.slice(0, 20)).length, 20);
+    assert.throws(() => parseResourceShareArns(arns), /contains 21 resource shares, at most 20 are supported/);
+});
+
+test("getResourceShareRegion returns the region of the arn", () => {
+    assert.equal(getResourceShareRegion(WEST_ARN), "us-west-2");
+    assert.equal(getResourceShareRegion("arn:aws-cn:ram:cn-north-1:111111111111:resource-share/a"), "cn-north-1");
+    assert.throws(() => getResourceShareRegion("arn:aws:ram::111111111111:resource-share/a"), /Invalid ResourceShareArn/);
+});
@@ -0,0 +1,75 @@
+'use strict';
+/**
+ * Shared helpers to interpret Security Lake table names and filter them by source type.
+ **/
+
+// ex: amazon_security_lake_table_us_west_2_cloud_trail_mgmt_2_0
+// captures the region, the source and the source version
+const TABLE_NAME_CAPTURE_REGEX = /^amazon_security_lake_table_([a-z]{2}(?:_[a-z]+)+_\d+)_(.+)_(\d+_\d+)$/;
+// ex: CLOUD_TRAIL_MGMT, VPC_FLOW, ROUTE53, EKS_AUDIT, SH_FINDINGS
+const SOURCE_TYPE_REGEX = /^[A-Z0-9_]+$/;
+// Sources natively supported by Security Lake, other source types come from custom sources.
+const KNOWN_SOURCE_TYPES = ["CLOUD_TRAIL_MGMT", "LAMBDA_EXECUTION", "S3_DATA", "VPC_FLOW", "ROUTE53", "SH_FINDINGS", "EKS_AUDIT", "WAF"];
+
+/**
+ * Get the source type of a Security Lake table, ex: CLOUD_TRAIL_MGMT for amazon_security_lake_table_us_west_2_cloud_trail_mgmt_2_0.
+ * Returns undefined if tableName does not follow the Security Lake naming convention.
+ */
+export function getTableSourceType(tableName) {
+    const captured = TABLE_NAME_CAPTURE_REGEX.exec(tableName);
+    return captured ? captured[2].toUpperCase() : undefined;
+}
+
+/**
+ * Parse a Security Lake table name, ex: amazon_security_lake_table_us_west_2_cloud_trail_mgmt_2_0 gives {TableName,
+ * SourceType: "CLOUD_TRAIL_MGMT", SourceVersion: "2.0", Region: "us-west-2", KnownSource: true}, or undefined.
+ */
+export function parseTableName(tableName) {
+    const captured = TABLE_NAME_CAPTURE_REGEX.exec(tableName);
+    if (!captured) {
+        return undefined;
+    }
+    const [, region, source, sourceVersion] = captured;
+    const sourceType = source.toUpperCase();
+    return {
+        TableName: tableName,
+        SourceType: sourceType,
+        SourceVersion: sourceVersion.replace("_", "."),
+        Region: region.replaceAll("_", "-"),
+        KnownSource: KNOWN_SOURCE_TYPES.includes(sourceType)
+    };
+}
+
+/**
+ * Compare two source versions such as "1.0" and "2.0" by their major then minor number.
+ */
+export function compareSourceVersions(version, otherVersion) {
+    const [major, minor] = version.split(".").map(Number);
+    const [otherMajor, otherMinor] = otherVersion.split(".").map(Number);
+    return major - otherMajor || minor - otherMinor;
+}
+
+/**
+ * Keep the tables whose source type is one of sourceTypes.
+ */
+export function filterTableNamesBySourceTypes(tableNames, sourceTypes) {
+    return tableNames.filter(tableName => sourceTypes.includes(getTableSourceType(tableName)));
+}
+
+/**
+ * Parse a list of source types given either as an array or as a comma separated string.
+ * Empty entries are ignored, so an empty CommaDelimitedList parameter means no source type.
+ */
+export function parseSourceTypes(value, propertyName) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    const entries = Array.isArray(value) ? value : `${value}`.split(",");
+    const sourceTypes = entries.map(entry => `${entry}`.trim().toUpperCase()).filter(entry => entry.length > 0);
+    for (const sourceType of sourceTypes) {
+        if (!SOURCE_TYPE_REGEX.test(sourceType)) {
+            throw new Error(`Invalid source type in ${propertyName}: ${sourceType}.`);
+        }
+    }
+    return [...new Set(sourceTypes)];
+}
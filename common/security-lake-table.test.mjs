@@ -0,0 +1,50 @@
+'use strict';
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    getTableSourceType,
+    parseTableName,
+    compareSourceVersions,
+    filterTableNamesBySourceTypes,
+    parseSourceTypes
+} from "./security-lake-table.mjs";
+
+const CLOUD_TRAIL_TABLE_NAME = "amazon_security_lake_table_us_west_2_cloud_trail_mgmt_2_0";
+const VPC_FLOW_TABLE_NAME = "amazon_security_lake_table_us_west_2_vpc_flow_1_0";
+
+test("getTableSourceType reads the source type of a Security Lake table", () => {
+    assert.equal(getTableSourceType(CLOUD_TRAIL_TABLE_NAME), "CLOUD_TRAIL_MGMT");
+    assert.equal(getTableSourceType("amazon_security_lake_table_ap_southeast_3_sh_findings_1_0"), "SH_FINDINGS");
+    assert.equal(getTableSourceType("other_table"), undefined);
+});
+
+test("parseTableName reads the region, source and version of a table", () => {
+    assert.deepEqual(parseTableName(CLOUD_TRAIL_TABLE_NAME), {
+        TableName: CLOUD_TRAIL_TABLE_NAME,
+        SourceType: "CLOUD_TRAIL_MGMT",
+        SourceVersion: "2.0",
+        Region: "us-west-2",
+        KnownSource: true
+    });
+    assert.equal(parseTableName("amazon_security_lake_table_us_east_1_my_source_1_0").KnownSource, false);
+    assert.equal(parseTableName("amazon_security_lake_table_vpc_flow"), undefined);
+});
+
+test("compareSourceVersions compares the major then the minor number", () => {
+    assert.deepEqual(["2.0", "1.10", "1.2"].sort(compareSourceVersions), ["1.2", "1.10", "2.0"]);
+    assert.equal(compareSourceVersions("1.0", "1.0"), 0);
+});
+
+test("filterTableNamesBySourceTypes keeps the tables of the source types", () => {
+    assert.deepEqual(filterTableNamesBySourceTypes([CLOUD_TRAIL_TABLE_NAME, VPC_FLOW_TABLE_NAME, "other_table"], ["VPC_FLOW"]),
+        [VPC_FLOW_TABLE_NAME]);
+    assert.deepEqual(filterTableNamesBySourceTypes([CLOUD_TRAIL_TABLE_NAME], []), []);
+});
+
+test("parseSourceTypes accepts a list or a comma separated string", () => {
+    assert.deepEqual(parseSourceTypes(undefined, "SourceTypes"), []);
+    assert.deepEqual(parseSourceTypes("", "SourceTypes"), []);
+    assert.deepEqual(parseSourceTypes(" vpc_flow, ROUTE53,VPC_FLOW", "SourceTypes"), ["VPC_FLOW", "ROUTE53"]);
+    assert.deepEqual(parseSourceTypes(["cloud_trail_mgmt"], "SourceTypes"), ["CLOUD_TRAIL_MGMT"]);
+    assert.throws(() => parseSourceTypes("VPC FLOW", "PrincipalSourceTypes"), /Invalid source type in PrincipalSourceTypes: VPC FLOW\./);
+});
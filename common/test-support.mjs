@@ -0,0 +1,55 @@
+'use strict';
+/**
+ * Shared helpers for the unit tests of the lambdas, which mock the AWS SDK clients and the CloudFormation response URL.
+ **/
+import https from "https";
+import { EventEmitter } from "events";
+import { mock } from "node:test";
+
+export const context = {
+    logGroupName: "log-group",
+    logStreamName: "log-stream",
+    getRemainingTimeInMillis: () => 60000
+};
+
+/**
+ * Mock send of each of clientClasses to return routes[<command name>](input), ex: routes.GetDatabaseCommand.
+ * Returns the [command name, input] of every command sent.
+ */
+export function mockClientCommands(clientClasses, routes) {
+    let calls = [];
+    for (const clientClass of clientClasses) {
+        mock.method(clientClass.prototype, "send", async function (command) {
+            const name = command.constructor.name;
+            calls.push([name, command.input]);
+            if (!routes[name]) {
+                throw new Error(`Unexpected ${name}.`);
+            }
+            return routes[name](command.input);
+        });
+    }
+    return calls;
+}
+
+/**
+ * Mock the pre-signed S3 URL of CloudFormation responses, answering with statusCodes in turn, then with 200.
+ * Returns the body of every response sent.
+ */
+export function mockCloudFormationResponses(statusCodes = []) {
+    let responses = [];
+    mock.method(https, "request", (options, callback) => {
+        const request = new EventEmitter();
+        let body = "";
+        request.write = chunk => { body += chunk; };
+        request.end = () => {
+            responses.push(JSON.parse(body));
+            const response = new EventEmitter();
+            response.statusCode = statusCodes.shift() ?? 200;
+            response.resume = () => {};
+            setImmediate(() => callback(response));
+        };
+        request.destroy = () => {};
+        return request;
+    });
+    return responses;
+}
@@ -0,0 +1,4 @@
+// ex: amazon_security_lake_glue_db_us_west_2
+export const SECURITY_LAKE_DATABASE_PREFIX = "amazon_security_lake_glue_db_";
+// Upper bound of pages read from a single RAM listing call, can be overridden with the MaxListPages property.
+export const DEFAULT_MAX_LIST_PAGES = 100;
@@ -1,7 +1,5 @@
 'use strict';
 
-import https from "https";
-import url from "url";
 import {
     ListResourcesCommand,
     RAMClient
@@ -9,105 +7,424 @@ import {
 import {
     GlueClient, 
     AlreadyExistsException, 
-    CreateDatabaseCommand
+    EntityNotFoundException,
+    CreateDatabaseCommand,
+    GetDatabaseCommand,
+    DeleteDatabaseCommand
 } from "@aws-sdk/client-glue";
+import {
+    CloudFormationClient,
+    DescribeStackResourceCommand
+} from "@aws-sdk/client-cloudformation";
+import {
+    SECURITY_LAKE_DATABASE_PREFIX,
+    DEFAULT_MAX_LIST_PAGES
+} from "./constant.mjs";
+import { sendResponse } from "./common/cfn-response.mjs";
+import { parseResourceShareArns, getResourceShareRegion } from "./common/resource-share.mjs";
+import { parseGlueDatabaseArn, parseStackArn } from "./common/arn.mjs";
+import { runCheck, buildHealthReport } from "./common/health-check.mjs";
+import {
+    isDryRun,
+    isDryRunPhysicalResourceId,
+    buildDryRunPhysicalResourceId,
+    buildPlanData,
+    onlyDryRunChanged
+} from "./common/dry-run.mjs";
 
 /**
- * Lambda that takes a RAM resource share arn, extracts shared Glue database from it, and creates corresponding database in this account/region.
+ * Lambda that takes RAM resource share arns, extracts the shared Glue database from each of them, and creates corresponding database in this account,
+ * in the region of the resource share.
  **/
 export async function handler(event, context) {
     console.log("REQUEST RECEIVED.");
-    if (event.RequestType === "Update") {
-        const reason = "RequestType is Update which is not supported.";
-        console.error(reason);
-        await sendResponse(event, context, "FAILED", undefined, reason);
-        return;
+    if (event.RequestType === "HealthCheck") {
+        return await checkHealth(event, context);
     }
-
     let result;
     let reason;
+    let data;
     let physicalResourceId;
-    if (event.RequestType === "Create") {
-        [result, physicalResourceId, reason] = await startCreate(event, context);
+    if (event.RequestType === "Create" || (event.RequestType === "Update" && isDryRunPhysicalResourceId(event.PhysicalResourceId))) {
+        [result, physicalResourceId, reason, data] = await startCreate(event, context);
+        if (isDryRun(event.ResourceProperties)) {
+            physicalResourceId = event.PhysicalResourceId ?? buildDryRunPhysicalResourceId(context);
+        }
+    } else if (event.RequestType === "Update") {
+        physicalResourceId = event.PhysicalResourceId;
+        if (onlyDryRunChanged(event.OldResourceProperties, event.ResourceProperties)) {
+            // Nothing to update, the databases are only read again for the attributes of the response.
+            console.log("Only DryRun changed, nothing to update.");
+            [result, , reason, data] = await startCreate(event, context, true);
+        } else {
+            [result, physicalResourceId, reason, data] = await startUpdate(event, context);
+            if (isDryRun(event.ResourceProperties)) {
+                physicalResourceId = event.PhysicalResourceId;
+            }
+        }
     } else if (event.RequestType === "Delete") {
-        // For Delete requests, immediately send a SUCCESS response.
         physicalResourceId = event.PhysicalResourceId;
-        result = "SUCCESS";
+        [result, reason, data] = await startDelete(event, context);
     } else {
-        reason = "Unrecognized cloudformation request type received. This custom resource only supports creation and deletion.";
+        reason = "Unrecognized cloudformation request type received. This custom resource only supports creation, update and deletion.";
         console.error(reason);
         result = "FAILED";
     }
-    await sendResponse(event, context, result, physicalResourceId, reason);
+    await sendResponse(event, context, result, { physicalResourceId, reason, data });
 };
 
-async function startCreate(event, context) {
-    const region = process.env.AWS_REGION
+/**
+ * Create the resource link database of every resource share. With the DryRun property, or when readOnly, the databases
+ * are only read, and the planned creations are returned as response Data of a dry run.
+ */
+async function startCreate(event, context, readOnly = false) {
+    let databases = [];
     try {
-        const ramClient = new RAMClient({
-            region: region
-        })
-        const glueClient = new GlueClient({
-            region: region
-        })
+        const resourceShareArns = getResourceShareArns(event);
+        console.log('Extracted resource share arns from event: %s', resourceShareArns.join(","))
+
+        const maxListPages = getMaxListPages(event);
+        const plannedActions = readOnly || isDryRun(event.ResourceProperties) ? [] : undefined
+        // Each resource share is handled in its own region, where its database is shared.
+        for (const resourceShareArn of resourceShareArns) {
+            const region = getResourceShareRegion(resourceShareArn)
+            const ramClient = new RAMClient({
+                region: region
+            })
+            const glueClient = new GlueClient({
+                region: region
+            })
+
+            const sharedGlueDatabaseArn = await getSharedGlueDatabaseArn(ramClient, resourceShareArn, region, maxListPages);
+            console.log('Retrieved shared database name from RAM in %s: %s', region, sharedGlueDatabaseArn)
+
+            let [securityLakeAdminAccount, databaseName] = getDatabaseArnParts(sharedGlueDatabaseArn)
 
-        const resourceShareArn = getResourceShareArn(event);
-        console.log('Extracted resource share arn from event: %s', resourceShareArn)
+            const created = plannedActions
+                ? await planGlueDatabase(glueClient, region, securityLakeAdminAccount, databaseName, plannedActions)
+                : await createGlueDatabase(glueClient, securityLakeAdminAccount, databaseName)
+            databases.push({ region, securityLakeAdminAccount, databaseName, sharedGlueDatabaseArn, created })
+        }
+
+        const data = {
+            ...buildDatabaseData(databases),
+            ...(isDryRun(event.ResourceProperties) ? buildPlanData(plannedActions) : {})
+        }
+        return ["SUCCESS", buildPhysicalResourceId(databases), undefined, data];
+    } catch (exception) {
+        console.log(exception);
+        // The databases created before the failure are still owned, so that the rollback Delete removes them.
+        return ["FAILED", databases.length > 0 ? buildPhysicalResourceId(databases) : undefined, exception];
+    }
+}
 
-        const sharedGlueDatabaseArn = await getSharedGlueDatabaseArn(ramClient, resourceShareArn);
-        console.log('Retrieved shared database name from RAM: %s', sharedGlueDatabaseArn)
+/**
+ * Create the resource link databases of added resource shares and delete those of removed ones, or only plan it with
+ * DryRun. If a creation fails, the databases created by this update are deleted again.
+ */
+async function startUpdate(event, context) {
+    let createdDatabases = [];
+    try {
+        const resourceShareArns = getResourceShareArns(event);
+        console.log('Extracted resource share arns from event: %s', resourceShareArns.join(","));
+        const maxListPages = getMaxListPages(event);
+        const plannedActions = isDryRun(event.ResourceProperties) ? [] : undefined;
+        const oldDatabases = event.PhysicalResourceId.split(",").map(parseDatabaseEntry);
+        let databases = [];
+        for (const resourceShareArn of resourceShareArns) {
+            const region = getResourceShareRegion(resourceShareArn);
+            const ramClient = new RAMClient({
+                region: region
+            });
+            const sharedGlueDatabaseArn = await getSharedGlueDatabaseArn(ramClient, resourceShareArn, region, maxListPages);
+            const [securityLakeAdminAccount, databaseName] = getDatabaseArnParts(sharedGlueDatabaseArn);
+            databases.push({ region, securityLakeAdminAccount, databaseName, sharedGlueDatabaseArn });
+        }
 
-        let [securityLakeAdminAccount, databaseName] = getDatabaseArnParts(sharedGlueDatabaseArn)
+        // Databases of removed resource shares are deleted first, a failed update is rolled back by an update which
+        // creates them again.
+        for (const oldDatabase of oldDatabases) {
+            if (!oldDatabase.securityLakeAdminAccount || findDatabase(databases, oldDatabase)) {
+                continue;
+            }
+            console.log(`Database ${oldDatabase.databaseName} in ${oldDatabase.region} is not shared anymore, deleting it..`);
+            const glueClient = new GlueClient({
+                region: oldDatabase.region
+            });
+            await deleteGlueDatabase(glueClient, oldDatabase.securityLakeAdminAccount, oldDatabase.databaseName, oldDatabase.region, plannedActions);
+        }
 
-        await createGlueDatabase(glueClient, securityLakeAdminAccount, databaseName)
+        for (const database of databases) {
+            const glueClient = new GlueClient({
+                region: database.region
+            });
+            const created = plannedActions
+                ? await planGlueDatabase(glueClient, database.region, database.securityLakeAdminAccount, database.databaseName, plannedActions)
+                : await createGlueDatabase(glueClient, database.securityLakeAdminAccount, database.databaseName);
+            if (created && !plannedActions) {
+                createdDatabases.push(database);
+            }
+            // A database created by a previous request stays owned by this resource.
+            const oldDatabase = findDatabase(oldDatabases, database);
+            database.created = created || oldDatabase?.securityLakeAdminAccount === database.securityLakeAdminAccount;
+        }
 
-        return ["SUCCESS", databaseName, undefined];
+        const data = {
+            ...buildDatabaseData(databases),
+            ...(plannedActions ? buildPlanData(plannedActions) : {})
+        };
+        return ["SUCCESS", buildPhysicalResourceId(databases), undefined, data];
+    } catch (exception) {
+        console.log(exception);
+        for (const database of createdDatabases) {
+            try {
+                console.log(`Rolling back the creation of database ${database.databaseName} in ${database.region}..`);
+                const glueClient = new GlueClient({
+                    region: database.region
+                });
+                await deleteGlueDatabase(glueClient, database.securityLakeAdminAccount, database.databaseName, database.region);
+            } catch (rollbackException) {
+                console.error(`Could not delete database ${database.databaseName} in ${database.region}.`, rollbackException);
+            }
+        }
+        return ["FAILED", event.PhysicalResourceId, exception];
+    }
+}
+
+/**
+ * Build the physical resource id listing the databases. It tells Delete which databases this resource owns.
+ */
+function buildPhysicalResourceId(databases) {
+    return databases
+        .map(database => database.created
+            ? `${database.region}/${database.securityLakeAdminAccount}/${database.databaseName}`
+            : `${database.region}/${database.databaseName}`)
+        .join(",");
+}
+
+function buildDatabaseData(databases) {
+    return {
+        SecurityLakeAdminAccountId: [...new Set(databases.map(database => database.securityLakeAdminAccount))].join(","),
+        DatabaseName: databases.map(database => database.databaseName).join(","),
+        SharedDatabaseArn: databases.map(database => database.sharedGlueDatabaseArn).join(",")
+    };
+}
+
+function findDatabase(databases, database) {
+    return databases.find(candidate => candidate.region === database.region && candidate.databaseName === database.databaseName);
+}
+
+/**
+ * Check that every resource share still shares a database, and that the resource link database pointing at it exists.
+ */
+async function checkHealth(event, context) {
+    let checks = []
+    let resourceShareArns = []
+    let maxListPages
+    await runCheck(checks, "ResourceProperties", "Pass the ResourceShareArn property of the stack in ResourceProperties.", async () => {
+        maxListPages = getMaxListPages(event)
+        resourceShareArns = getResourceShareArns(event)
+        return { passed: true, detail: `Resource share arns: ${resourceShareArns.join(",")}` }
+    })
+    for (const resourceShareArn of resourceShareArns) {
+        const region = getResourceShareRegion(resourceShareArn)
+        let sharedDatabase
+        await runCheck(checks, `SharedDatabase ${region}`,
+            "Check that the resource share invitation was accepted and that the Security Lake admin still shares its database.",
+            async () => {
+                const ramClient = new RAMClient({
+                    region: region
+                })
+                const sharedGlueDatabaseArn = await getSharedGlueDatabaseArn(ramClient, resourceShareArn, region, maxListPages)
+                sharedDatabase = getDatabaseArnParts(sharedGlueDatabaseArn)
+                return { passed: true, detail: `Shared database: ${sharedGlueDatabaseArn}` }
+            })
+        if (!sharedDatabase) {
+            continue
+        }
+        const [securityLakeAdminAccount, databaseName] = sharedDatabase
+        await runCheck(checks, `ResourceLink ${region}`,
+            `Create the database ${databaseName} in ${region} as a resource link to ${databaseName} of account ${securityLakeAdminAccount}, for example by creating the stack again.`,
+            async () => {
+                const glueClient = new GlueClient({
+                    region: region
+                })
+                let database
+                try {
+                    database = (await glueClient.send(new GetDatabaseCommand({
+                        Name: databaseName
+                    }))).Database
+                } catch (e) {
+                    if (e instanceof EntityNotFoundException) {
+                        return { passed: false, detail: `Database ${databaseName} does not exist in ${region}.` }
+                    }
+                    throw e
+                }
+                const targetDatabase = database.TargetDatabase
+                return {
+                    passed: targetDatabase?.CatalogId === securityLakeAdminAccount && targetDatabase?.DatabaseName === databaseName,
+                    detail: `Database ${databaseName} points at ${JSON.stringify(targetDatabase ?? null)}.`
+                }
+            })
+    }
+    return buildHealthReport("GlueDatabase", checks)
+}
+
+/**
+ * Delete the resource link databases created by this resource which still point at their Security Lake admin database,
+ * keeping those still listed in the current physical resource id after an update replaced it.
+ */
+async function startDelete(event, context) {
+    try {
+        if (isDryRunPhysicalResourceId(event.PhysicalResourceId)) {
+            console.log("Resource was created by a dry run, nothing to delete.");
+            return ["SUCCESS", undefined];
+        }
+        const currentPhysicalResourceId = await getCurrentPhysicalResourceId(event);
+        const currentDatabases = currentPhysicalResourceId && currentPhysicalResourceId !== event.PhysicalResourceId
+            ? currentPhysicalResourceId.split(",").map(parseDatabaseEntry)
+            : [];
+        for (const entry of event.PhysicalResourceId.split(",")) {
+            const database = parseDatabaseEntry(entry);
+            if (!database.securityLakeAdminAccount) {
+                console.log(`Database ${entry} was not created by this resource, skipping deletion.`);
+                continue;
+            }
+            if (findDatabase(currentDatabases, database)) {
+                console.log(`Database ${entry} is still owned by ${currentPhysicalResourceId}, skipping deletion.`);
+                continue;
+            }
+            const glueClient = new GlueClient({
+                region: database.region
+            })
+            await deleteGlueDatabase(glueClient, database.securityLakeAdminAccount, database.databaseName, database.region);
+        }
+        return ["SUCCESS", undefined];
     } catch (exception) {
         console.log(exception);
-        return ["FAILED", undefined, exception];
+        return ["FAILED", exception];
+    }
+}
+
+/**
+ * Parse an entry of the physical resource id into {region, securityLakeAdminAccount, databaseName}. Only the databases
+ * created by this resource have an admin account, and entries without region are in the lambda region.
+ */
+function parseDatabaseEntry(entry) {
+    const captured = /^([a-z0-9-]+)\/(\d{12})\/(.+)$/.exec(entry);
+    if (captured) {
+        return { region: captured[1], securityLakeAdminAccount: captured[2], databaseName: captured[3] };
+    }
+    const legacyCaptured = /^(\d{12})\/(.+)$/.exec(entry);
+    if (legacyCaptured) {
+        return { region: process.env.AWS_REGION, securityLakeAdminAccount: legacyCaptured[1], databaseName: legacyCaptured[2] };
+    }
+    const existingCaptured = /^([a-z0-9-]+)\/(.+)$/.exec(entry);
+    if (existingCaptured) {
+        return { region: existingCaptured[1], databaseName: existingCaptured[2] };
+    }
+    return { region: process.env.AWS_REGION, databaseName: entry };
+}
+
+/**
+ * Get the physical resource id the stack currently has for this resource, or undefined if the stack or the resource
+ * does not exist anymore.
+ */
+async function getCurrentPhysicalResourceId(event) {
+    const region = parseStackArn(event.StackId)?.Region ?? process.env.AWS_REGION;
+    const cloudFormationClient = new CloudFormationClient({
+        region: region
+    });
+    try {
+        const response = await cloudFormationClient.send(new DescribeStackResourceCommand({
+            StackName: event.StackId,
+            LogicalResourceId: event.LogicalResourceId
+        }));
+        return response.StackResourceDetail?.PhysicalResourceId;
+    } catch (error) {
+        if (error.name === "ValidationError" && /does not exist/.test(error.message)) {
+            console.log(`Resource ${event.LogicalResourceId} of stack ${event.StackId} does not exist.`);
+            return undefined;
+        }
+        throw error;
     }
 }
 
-function getResourceShareArn(event) {
-    const resourceShareArn = event.ResourceProperties.ResourceShareArn;
-    validateResourceShareArn(resourceShareArn);
-    return resourceShareArn;
+function getResourceShareArns(event) {
+    return parseResourceShareArns(event.ResourceProperties.ResourceShareArn);
 }
 
-function validateResourceShareArn(arn) {
-    const resourceShareRegex = /^arn:aws[-\w]{0,10}?:ram:.+/;
-    if(!resourceShareRegex.test(arn)) {
-        throw new Error("Invalid ResourceShareArn.");
+function getMaxListPages(event) {
+    const maxListPages = event.ResourceProperties.MaxListPages ?? DEFAULT_MAX_LIST_PAGES;
+    const parsed = Number(maxListPages);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new Error(`Invalid MaxListPages: ${maxListPages}.`);
     }
+    return parsed;
 }
 
-async function getSharedGlueDatabaseArn(ramClient, resourceShareArn) {
-    const response = await ramClient.send(new ListResourcesCommand({
-        resourceOwner: "OTHER-ACCOUNTS",
-        resourceShareArns: [resourceShareArn],
-        resourceType: "glue:database"
-    }))
+/**
+ * Get the arn of the database shared in this resource share arn. If the share contains several databases,
+ * the Security Lake database of region is used.
+ */
+async function getSharedGlueDatabaseArn(ramClient, resourceShareArn, region, maxListPages) {
+    const resources = await listSharedResources(ramClient, resourceShareArn, "glue:database", maxListPages)
 
-    if (response.resources.length == 0) {
+    if (resources.length == 0) {
         throw new Error("Found no resources associated with resource share ARN.")
     }
+    if (resources.length == 1) {
+        return resources[0].arn
+    }
 
-    return response.resources[0].arn
+    const expectedDatabaseName = SECURITY_LAKE_DATABASE_PREFIX + region.replaceAll("-", "_")
+    const databaseArns = resources.map(resource => resource.arn)
+    const matchingArn = databaseArns.find(arn => parseGlueDatabaseArn(arn)?.DatabaseName === expectedDatabaseName)
+    if (!matchingArn) {
+        throw new Error(`Found ${databaseArns.length} databases associated with resource share ARN and none of them is ${expectedDatabaseName}: ${JSON.stringify(databaseArns)}.`)
+    }
+    console.log('Found %d databases associated with resource share ARN, using %s', databaseArns.length, matchingArn)
+    return matchingArn
+}
+
+/**
+ * List every resource of resourceType shared with this account in resourceShareArn, following nextToken.
+ * Throws error if the result does not fit in maxListPages pages.
+ */
+async function listSharedResources(ramClient, resourceShareArn, resourceType, maxListPages) {
+    let resources = []
+    let nextToken
+    let pages = 0
+    do {
+        if (pages >= maxListPages) {
+            throw new Error(`Listing ${resourceType} resources in resource share ARN exceeded ${maxListPages} pages, increase MaxListPages.`)
+        }
+        const response = await ramClient.send(new ListResourcesCommand({
+            resourceOwner: "OTHER-ACCOUNTS",
+            resourceShareArns: [resourceShareArn],
+            resourceType: resourceType,
+            nextToken: nextToken
+        }))
+        resources.push(...response.resources)
+        nextToken = response.nextToken
+        pages++
+    } while (nextToken)
+    return resources
 }
 
 function getDatabaseArnParts(glueDatabaseArn) {
-    const glueDatabaseRegex = /^arn:aws[-\w]{0,10}?:glue:.+:database\/.+/;
-    if(!glueDatabaseRegex.test(glueDatabaseArn)) {
+    const parsed = parseGlueDatabaseArn(glueDatabaseArn)
+    if (!parsed) {
         throw new Error(`Glue database discovered via RAM does not match expected ARN format: ${glueDatabaseArn}.`);
     }
 
-    const arnParts = glueDatabaseArn.split(':');
-    const securityLakeAdminAccount = arnParts[4]
-    const databaseName = arnParts[5].split('/')[1]
-
-    return [securityLakeAdminAccount, databaseName]
+    return [parsed.AccountId, parsed.DatabaseName]
 }
 
+/**
+ * Create a resource link database pointing at databaseName in the Security Lake admin catalog.
+ * Returns false if a database with that name already exists.
+ */
 async function createGlueDatabase(glueClient, securityLakeAdminAccount, databaseName) {
     try {
         await glueClient.send(new CreateDatabaseCommand({
@@ -120,67 +437,78 @@ async function createGlueDatabase(glueClient, securityLakeAdminAccount, database
             }
         }))
         console.log('Successfully created database')
+        return true;
     } catch (e) {
         if (e instanceof AlreadyExistsException) {
             console.log('Database already exists')
-            return;
+            return false;
         }
 
         throw e;
     }
 }
 
-// Send response to the pre-signed S3 URL
-function sendResponse(event, context, responseStatus, physicalResourceId, reason) {
-    return new Promise((resolve, reject) => {
-        const responseBody = JSON.stringify({
-            Status: responseStatus,
-            Reason: composeReason(context, reason),
-            PhysicalResourceId: physicalResourceId ?? context.logStreamName,
-            StackId: event.StackId,
-            RequestId: event.RequestId,
-            LogicalResourceId: event.LogicalResourceId,
-            Data: {}
-        });
-
-        console.log("RESPONSE BODY:\n", responseBody);
-
-        const parsedUrl = url.parse(event.ResponseURL);
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: 443,
-            path: parsedUrl.path,
-            method: "PUT",
-            headers: {
-                "content-type": "",
-                "content-length": responseBody.length
-            }
-        };
+/**
+ * Plan the creation done by createGlueDatabase, adding it to plannedActions unless a database with that name already exists.
+ * Returns whether it would be created.
+ */
+async function planGlueDatabase(glueClient, region, securityLakeAdminAccount, databaseName, plannedActions) {
+    try {
+        await glueClient.send(new GetDatabaseCommand({
+            Name: databaseName
+        }))
+        console.log('Database already exists')
+        return false
+    } catch (e) {
+        if (!(e instanceof EntityNotFoundException)) {
+            throw e
+        }
+    }
+    plannedActions.push({ Action: "CreateDatabase", Region: region, DatabaseName: databaseName, TargetCatalogId: securityLakeAdminAccount })
+    return true
+}
 
-        console.log("SENDING RESPONSE...\n");
+/**
+ * Delete databaseName if it still points at the database of the Security Lake admin account, or only add the deletion
+ * to plannedActions when given.
+ */
+async function deleteGlueDatabase(glueClient, securityLakeAdminAccount, databaseName, region, plannedActions) {
+    let database;
+    try {
+        const response = await glueClient.send(new GetDatabaseCommand({
+            Name: databaseName
+        }))
+        database = response.Database;
+    } catch (e) {
+        if (e instanceof EntityNotFoundException) {
+            console.log('Database does not exist anymore')
+            return;
+        }
 
-        const request = https.request(options, function (response) {
-            // Tell AWS Lambda that the function execution is done
-            context.done();
-            resolve();
-        });
+        throw e;
+    }
 
-        request.on("error", function (error) {
-            console.log("sendResponse Error:" + error);
-            // Tell AWS Lambda that the function execution is done
-            context.done();
-            resolve();
-        });
+    const targetDatabase = database.TargetDatabase;
+    if (targetDatabase?.CatalogId !== securityLakeAdminAccount || targetDatabase?.DatabaseName !== databaseName) {
+        console.log(`Database ${databaseName} now points at ${JSON.stringify(targetDatabase)}, skipping deletion.`)
+        return;
+    }
+    if (plannedActions) {
+        plannedActions.push({ Action: "DeleteDatabase", Region: region, DatabaseName: databaseName })
+        return;
+    }
 
-        // write data to request body
-        request.write(responseBody);
-        request.end();
-    });
-}
+    try {
+        await glueClient.send(new DeleteDatabaseCommand({
+            Name: databaseName
+        }))
+        console.log('Successfully deleted database')
+    } catch (e) {
+        if (e instanceof EntityNotFoundException) {
+            console.log('Database does not exist anymore')
+            return;
+        }
 
-function composeReason(context, reason) {
-    const region = process.env.AWS_REGION;
-    const cwLogUrl = `https://console.aws.amazon.com/cloudwatch/home?region=${region}#logEventViewer:group=${context.logGroupName};stream=${context.logStreamName}`;
-    const cwLogStreamMessage = `See the details in CloudWatch Log Stream: ${cwLogUrl}`;
-    return reason ? `${reason} ${cwLogStreamMessage}` : `${cwLogStreamMessage}`;
+        throw e;
+    }
 }
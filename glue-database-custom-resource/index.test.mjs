@@ -0,0 +1,47 @@
+'use strict';
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { RAMClient } from "@aws-sdk/client-ram";
+import { GlueClient, EntityNotFoundException } from "@aws-sdk/client-glue";
+import { handler } from "./index.mjs";
+import { context, mockClientCommands, mockCloudFormationResponses } from "./common/test-support.mjs";
+
+process.env.AWS_REGION = "us-east-1";
+
+const DATABASE_NAME = "amazon_security_lake_glue_db_us_east_1";
+const properties = { ResourceShareArn: "arn:aws:ram:us-east-1:111111111111:resource-share/a", DryRun: "true" };
+const request = {
+    StackId: "arn:aws:cloudformation:us-east-1:222222222222:stack/stack/1",
+    RequestId: "request",
+    LogicalResourceId: "GlueDatabase",
+    ResponseURL: "https://example.com/response"
+};
+
+afterEach(() => mock.restoreAll());
+
+test("a real update of a dry run creation creates the database", async () => {
+    const responses = mockCloudFormationResponses();
+    const calls = mockClientCommands([RAMClient, GlueClient], {
+        ListResourcesCommand: () => ({ resources: [{ arn: `arn:aws:glue:us-east-1:111111111111:database/${DATABASE_NAME}` }] }),
+        GetDatabaseCommand: () => { throw new EntityNotFoundException({ message: "Database not found.", $metadata: {} }); },
+        CreateDatabaseCommand: () => ({})
+    });
+
+    await handler({ ...request, RequestType: "Create", ResourceProperties: properties }, context);
+    const [dryRunResponse] = responses;
+    assert.equal(dryRunResponse.Status, "SUCCESS");
+    assert.match(dryRunResponse.PhysicalResourceId, /^DryRun-/);
+    assert.ok(!calls.some(([name]) => name === "CreateDatabaseCommand"));
+
+    await handler({
+        ...request,
+        RequestType: "Update",
+        PhysicalResourceId: dryRunResponse.PhysicalResourceId,
+        ResourceProperties: { ...properties, DryRun: "false" },
+        OldResourceProperties: properties
+    }, context);
+    const [, realResponse] = responses;
+    assert.equal(realResponse.Status, "SUCCESS");
+    assert.equal(realResponse.PhysicalResourceId, `us-east-1/111111111111/${DATABASE_NAME}`);
+    assert.ok(calls.some(([name, input]) => name === "CreateDatabaseCommand" && input.DatabaseInput.Name === DATABASE_NAME));
+});
@@ -1,6 +1,65 @@
-// ex: arn:aws:ram:us-east-2:123456789012:resource-share/1a621be9-7c74-4607-af80-5fe0275af5a0
-export const RESOURCE_SHARE_ARN_REGEX = "^arn:aws[-\\w]{0,10}?:ram:.+";
-// ex: arn:aws:glue:us-west-2:123456789012:database/amazon_security_lake_glue_db_us_west_2
-export const DATABASE_NAME_CAPTURE_REGEX = /^arn:aws[-\w]{0,10}?:glue:[^:]+:[^:]+:database\/(.+)$/;
-// ex: "arn:aws:cloudformation:us-west-2:123456789012:stack/stack-name/guid"
-export const ACCOUNT_ID_FROM_STACK_REGEX = /^arn:aws[-\w]{0,10}?:cloudformation:[^:]+:(\d{12}):(.+)$/;
+// ex: amazon_security_lake_glue_db_us_west_2
+export const SECURITY_LAKE_DATABASE_PREFIX = "amazon_security_lake_glue_db_";
+// Upper bound of pages read from a single RAM listing call, can be overridden with the MaxListPages property.
+export const DEFAULT_MAX_LIST_PAGES = 100;
+// Record of the Lake Formation changes made by this stack, used to undo them on Delete.
+export const PERMISSION_RECORD_PARAMETER = {
+    Name: "/Detective/SLI/LakeFormationPermissions",
+    Description: "Lake Formation permissions granted and DataLakeAdmins added by security lake integration stack",
+    Type: "String",
+    AllowedPattern: ".+"
+};
+// A record larger than one parameter continues in /Detective/SLI/LakeFormationPermissions/1, /2.., and the record
+// parameter only holds their count.
+export const MAX_PERMISSION_RECORD_CHUNKS = 40;
+// Time kept back from the lambda timeout to roll back grants and restore DataLakeSettings when changing permissions takes too long.
+export const ROLLBACK_TIME_BUFFER_MILLIS = 15000;
+// Attempts to restore DataLakeSettings after the lambda role was temporarily added to DataLakeAdmins.
+export const MAX_RESTORE_SETTINGS_ATTEMPTS = 3;
+// Attempts to apply a DataLakeAdmins change which keeps being overwritten by concurrent DataLakeSettings puts.
+export const MAX_SETTINGS_UPDATE_ATTEMPTS = 5;
+export const SETTINGS_UPDATE_RETRY_DELAY_MILLIS = 500;
+// Values of the PermissionMode property: named resource SELECT grants on the tables, or grants through LF-Tag expressions.
+export const NAMED_RESOURCE_PERMISSION_MODE = "NamedResource";
+export const LF_TAG_PERMISSION_MODE = "LFTag";
+// In LFTag mode, the resource-link database is tagged <LFTagKey>=true and each table <LFTagKey>Source=<source type>.
+export const DEFAULT_LF_TAG_KEY = "DetectiveSecurityLake";
+export const LF_TAG_DATABASE_VALUE = "true";
+export const SOURCE_LF_TAG_KEY_SUFFIX = "Source";
+// LF-Tag keys are up to 128 characters, leaving room for SOURCE_LF_TAG_KEY_SUFFIX.
+export const LF_TAG_KEY_REGEX = /^[\p{L}\p{N}_.:\/=+\-@% ]{1,122}$/u;
+// Prefix of the data cells filters created for the RowFilter of a PrincipalAccessPolicies entry.
+export const DATA_CELLS_FILTER_NAME_PREFIX = "DetectiveSLI-";
+// Types of LakeFormationPrincipals, only IAM principals of the stack account can be DataLake admins.
+export const PRINCIPAL_TYPES = {
+    IAM: "IAM",
+    IDENTITY_CENTER: "IdentityCenter",
+    SAML: "SAML",
+    EXTERNAL_ACCOUNT: "ExternalAccount",
+    EXTERNAL_IAM: "ExternalIAM"
+};
+// ex: user/906745d2c6-1b4e0a8c-94f1-4a3e-8a3f-2b5d6e7f8a9b, the resource of an Identity Center user or group arn
+export const IDENTITY_CENTER_RESOURCE_REGEX = /^(user|group)\/([0-9a-f]{10}-)?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+// ex: saml-provider/Okta:group/Analysts, the resource of a SAML provider user or group arn
+export const SAML_RESOURCE_REGEX = /^saml-provider\/[\w.+=,@-]{1,128}:(user|group)\/.+$/;
+// Grants are sent through BatchGrantPermissions, which takes up to 20 entries, with a few batches in flight at a time.
+export const GRANT_BATCH_SIZE = 20;
+export const GRANT_BATCH_CONCURRENCY = 4;
+// Attempts of a batch, or of its entries, failing with one of RETRYABLE_GRANT_ERROR_CODES, with an exponential delay.
+export const MAX_GRANT_ATTEMPTS = 4;
+export const GRANT_RETRY_DELAY_MILLIS = 500;
+export const RETRYABLE_GRANT_ERROR_CODES = ["ThrottlingException", "ConcurrentModificationException"];
+// Lake Formation fails the revocation of a permission which is not held with an InvalidInputException carrying this message,
+// other InvalidInputException are real failures.
+export const NOT_HELD_REVOKE_ERROR_MESSAGE = "No permissions revoked";
+// Permissions granted at each level unless the PermissionSets property overrides them: DESCRIBE on the resource-link
+// database, so that principals can list it in Athena and the Glue console, and SELECT on the shared tables for Detective queries.
+export const DEFAULT_PERMISSION_SETS = {
+    ResourceLink: { Permissions: ["DESCRIBE"], Grantable: [] },
+    Tables: { Permissions: ["SELECT"], Grantable: [] }
+};
+// The shared tables belong to the Security Lake admin account, only read permissions can be granted.
+export const ALLOWED_PERMISSIONS = {
+    ResourceLink: ["DESCRIBE"],
+    Tables: ["SELECT", "DESCRIBE"]
+};
@@ -0,0 +1,236 @@
+'use strict';
+/**
+ * Lake Formation DataLake admin changes of the GlueTables lambda, which is only a DataLake admin while it changes permissions.
+ **/
+import {
+    PutDataLakeSettingsCommand,
+    GetDataLakeSettingsCommand
+} from "@aws-sdk/client-lakeformation";
+import {
+    ROLLBACK_TIME_BUFFER_MILLIS,
+    MAX_RESTORE_SETTINGS_ATTEMPTS,
+    MAX_SETTINGS_UPDATE_ATTEMPTS,
+    SETTINGS_UPDATE_RETRY_DELAY_MILLIS
+} from "./constant.mjs";
+import { rollbackPermissionChanges, describeLFTagOperation } from "./lake-formation-grant.mjs";
+
+/**
+ * Make the lambda role and adminsToAdd DataLake admins, remove adminsToRemove, run changePermissions and remove the lambda
+ * role again. On failure or timeout, the changes recorded in progress are rolled back and the admin changes are undone.
+ */
+export async function changePermissionsAsTemporaryAdmin(lakeFormationClient, context, lambdaRoleArn,
+                                                 adminsToAdd, adminsToRemove, changePermissions) {
+    const abortController = new AbortController();
+    const progress = { signal: abortController.signal, granted: [], revoked: [], createdFilters: [] };
+    const elevation = { added: [], removed: [] };
+    const timeout = setTimeout(() => abortController.abort(new Error("Lambda is about to time out while changing LakeFormation permissions.")),
+        Math.max(context.getRemainingTimeInMillis() - ROLLBACK_TIME_BUFFER_MILLIS, 0));
+    let failure;
+    let changing;
+    try {
+        await changeDataLakeAdmins(lakeFormationClient, [...adminsToAdd, lambdaRoleArn], adminsToRemove, elevation);
+        changing = changePermissions(progress);
+        await Promise.race([
+            changing,
+            new Promise((resolve, reject) => abortController.signal.addEventListener("abort", () => reject(abortController.signal.reason)))
+        ]);
+    } catch (error) {
+        failure = error;
+        abortController.abort(error);
+        console.error("Changing LakeFormation permissions failed, rolling back...", error);
+        // Let the aborted request settle so that it is recorded in progress before rolling back.
+        await changing?.catch(() => {});
+        try {
+            await rollbackPermissionChanges(lakeFormationClient, progress);
+        } catch (rollbackError) {
+            console.error("Rolling back LakeFormation permissions failed.", rollbackError);
+            failure = new Error(`${error} Rolling back LakeFormation permissions also failed, check ${JSON.stringify(progress.granted)} manually: ${rollbackError}`);
+        }
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    try {
+        if (failure) {
+            await restoreDataLakeAdmins(lakeFormationClient, elevation.removed, elevation.added);
+        } else {
+            // The lambda role is kept if it already was a DataLake admin before.
+            await restoreDataLakeAdmins(lakeFormationClient, [], elevation.added.filter(admin => admin === lambdaRoleArn));
+        }
+    } catch (restoreError) {
+        console.error("CRITICAL: restoring LakeFormation DataLakeSettings failed.", restoreError);
+        throw new Error(`CRITICAL: could not restore LakeFormation DataLakeSettings, the lambda role may still be a DataLake admin and must be removed manually: ${restoreError}.${failure ? ` ${failure}` : ""}`);
+    }
+    if (failure) {
+        throw failure;
+    }
+}
+
+/**
+ * Add to plannedActions what changePermissionsAsTemporaryAdmin would do in region according to the current DataLakeSettings,
+ * with one action per principal of each permissionChanges entry, or one per entry of LF-Tag Operations.
+ */
+export async function planPermissionChanges(plannedActions, lakeFormationClient, region, lambdaRoleArn,
+                                     adminsToAdd, adminsToRemove, permissionChanges) {
+    const dataLakeSettings = await getLakeFormationDataLakeSettings(lakeFormationClient);
+    const [missingAdmins, presentAdmins] = getPendingDataLakeAdminChanges(dataLakeSettings, adminsToAdd,
+        adminsToRemove.filter(principal => !adminsToAdd.includes(principal)));
+    const temporaryAdmin = getMissingDataLakeAdmins(dataLakeSettings, [lambdaRoleArn]).length > 0;
+    if (temporaryAdmin) {
+        plannedActions.push({ Action: "AddTemporaryDataLakeAdmin", Region: region, Principal: lambdaRoleArn });
+    }
+    if (missingAdmins.length > 0) {
+        plannedActions.push({ Action: "AddDataLakeAdmins", Region: region, Principals: missingAdmins });
+    }
+    if (presentAdmins.length > 0) {
+        plannedActions.push({ Action: "RemoveDataLakeAdmins", Region: region, Principals: presentAdmins });
+    }
+    for (const permissionChange of permissionChanges) {
+        if (permissionChange.Operations) {
+            if (permissionChange.Operations.length > 0) {
+                plannedActions.push({
+                    Action: permissionChange.Action,
+                    Region: region,
+                    Resources: permissionChange.Operations.map(describeLFTagOperation)
+                });
+            }
+            continue;
+        }
+        for (const principal of new Set(permissionChange.Grants.map(grant => grant.Principal))) {
+            const principalGrants = permissionChange.Grants.filter(grant => grant.Principal === principal);
+            const resourceLinkGrants = principalGrants.filter(grant => grant.ResourceLink);
+            const tableGrants = principalGrants.filter(grant => !grant.ResourceLink && !grant.LFTagExpression);
+            const lfTagGrants = principalGrants.filter(grant => !grant.ResourceLink && grant.LFTagExpression);
+            const tablePermissions = [...new Set([...tableGrants, ...lfTagGrants].flatMap(grant => grant.Permissions ?? ["SELECT"]))];
+            plannedActions.push({
+                Action: permissionChange.Action,
+                Region: region,
+                DatabaseName: permissionChange.DatabaseName,
+                Principal: principal,
+                ...(resourceLinkGrants.length > 0 ? { ResourceLink: resourceLinkGrants[0].Permissions } : {}),
+                // "*" stands for every table of the database.
+                ...(tableGrants.length > 0 ? { Tables: tableGrants.map(grant => grant.TableName ?? "*") } : {}),
+                ...(lfTagGrants.length > 0 ? { LFTagExpressions: lfTagGrants.map(grant => grant.LFTagExpression) } : {}),
+                ...(tablePermissions.length > 0 ? { TablePermissions: tablePermissions } : {})
+            });
+        }
+    }
+    if (temporaryAdmin) {
+        plannedActions.push({ Action: "RemoveTemporaryDataLakeAdmin", Region: region, Principal: lambdaRoleArn });
+    }
+}
+
+async function restoreDataLakeAdmins(lakeFormationClient, adminsToAdd, adminsToRemove) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await changeDataLakeAdmins(lakeFormationClient, adminsToAdd, adminsToRemove);
+            return;
+        } catch (error) {
+            if (attempt >= MAX_RESTORE_SETTINGS_ATTEMPTS) {
+                throw error;
+            }
+            console.warn(`Restoring LakeFormation DataLakeSettings failed (attempt ${attempt}), retrying: ${error}`);
+            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+    }
+}
+
+/**
+ * Add adminsToAdd to and remove adminsToRemove from the account wide DataLake admins, applied again while a concurrent put
+ * overwrites the change. The admins actually added and removed are recorded in applied, so that the change can be undone.
+ */
+async function changeDataLakeAdmins(lakeFormationClient, adminsToAdd, adminsToRemove, applied = { added: [], removed: [] }) {
+    const removals = adminsToRemove.filter(principal => !adminsToAdd.includes(principal));
+    for (let attempt = 1; attempt <= MAX_SETTINGS_UPDATE_ATTEMPTS; attempt++) {
+        const currentDataLakeSettings = await getLakeFormationDataLakeSettings(lakeFormationClient);
+        const [missingAdmins, presentAdmins] = getPendingDataLakeAdminChanges(currentDataLakeSettings, adminsToAdd, removals);
+        if (missingAdmins.length === 0 && presentAdmins.length === 0) {
+            return applied;
+        }
+        // Record before putting, a put which fails after being applied must still be undone.
+        applied.added.push(...missingAdmins.filter(principal => !applied.added.includes(principal)));
+        applied.removed.push(...presentAdmins.filter(principal => !applied.removed.includes(principal)));
+        await setLakeFormationDataLakeSettings(lakeFormationClient,
+            buildDataLakeSettings(removeFromDataLakeSettings(currentDataLakeSettings, presentAdmins), missingAdmins));
+
+        const [stillMissingAdmins, stillPresentAdmins] = getPendingDataLakeAdminChanges(
+            await getLakeFormationDataLakeSettings(lakeFormationClient), adminsToAdd, removals);
+        if (stillMissingAdmins.length === 0 && stillPresentAdmins.length === 0) {
+            return applied;
+        }
+        console.warn(`LakeFormation DataLakeSettings were changed concurrently, DataLakeAdmins change is missing (attempt ${attempt}).`);
+        // Random delay so that concurrent writers retrying the same way do not keep overwriting each other.
+        await new Promise(resolve => setTimeout(resolve, SETTINGS_UPDATE_RETRY_DELAY_MILLIS * attempt * (0.5 + Math.random())));
+    }
+    throw new Error(`LakeFormation DataLakeSettings kept being changed concurrently, could not add ${JSON.stringify(adminsToAdd)} to and remove ${JSON.stringify(removals)} from DataLakeAdmins.`);
+}
+
+/**
+ * Return the admins of adminsToAdd which are missing from and the admins of adminsToRemove which are still in dataLakeSettings.
+ */
+function getPendingDataLakeAdminChanges(dataLakeSettings, adminsToAdd, adminsToRemove) {
+    const missingAdmins = getMissingDataLakeAdmins(dataLakeSettings, adminsToAdd);
+    const absentAdmins = getMissingDataLakeAdmins(dataLakeSettings, adminsToRemove);
+    return [missingAdmins, adminsToRemove.filter(principal => !absentAdmins.includes(principal))];
+}
+
+/**
+ * Set Lake Formation DataLakeSettings.
+ */
+async function setLakeFormationDataLakeSettings(lakeFormationClient, dataLakeSettings) {
+    const input = { // PutDataLakeSettingsRequest
+        DataLakeSettings: dataLakeSettings,
+    };
+    const command = new PutDataLakeSettingsCommand(input);
+    await lakeFormationClient.send(command);
+}
+
+/**
+ * Given existingDataLakeSettings, build a new dataLakeSettings containing iamPrincipals and return it.
+ */
+function buildDataLakeSettings(existingDataLakeSettings, iamPrincipals) {
+    const newDatalakeAdmins = buildDataLakeAdmins(existingDataLakeSettings.DataLakeAdmins, iamPrincipals);
+    return {
+        ...existingDataLakeSettings,
+        DataLakeAdmins: newDatalakeAdmins
+    };
+}
+
+/**
+ * Build a new DataLake admins by adding iamPrincipals into existingDataLakeAdmins.
+ */
+function buildDataLakeAdmins(existingDataLakeAdmins, iamPrincipals) {
+    const existingPrincipals = existingDataLakeAdmins.map(admin => admin.DataLakePrincipalIdentifier);
+    const newPrincipals = [...new Set([...existingPrincipals, ...iamPrincipals])];
+    return newPrincipals.map((principal) => {
+        return {
+            DataLakePrincipalIdentifier: principal
+        };
+    });
+}
+
+/**
+ * Build a new dataLakeSettings by removing iamPrincipals from the DataLake admins in existingDataLakeSettings.
+ */
+function removeFromDataLakeSettings(existingDataLakeSettings, iamPrincipals) {
+    const principalsToRemove = new Set(iamPrincipals);
+    return {
+        ...existingDataLakeSettings,
+        DataLakeAdmins: existingDataLakeSettings.DataLakeAdmins
+            .filter(admin => !principalsToRemove.has(admin.DataLakePrincipalIdentifier))
+    };
+}
+
+/**
+ * Return the iamPrincipals which are not DataLake admins in existingDataLakeSettings yet.
+ */
+export function getMissingDataLakeAdmins(existingDataLakeSettings, iamPrincipals) {
+    const existingPrincipals = new Set(existingDataLakeSettings.DataLakeAdmins.map(admin => admin.DataLakePrincipalIdentifier));
+    return iamPrincipals.filter(principal => !existingPrincipals.has(principal));
+}
+
+export async function getLakeFormationDataLakeSettings(lakeFormationClient) {
+    const command = new GetDataLakeSettingsCommand({});
+    const response = await lakeFormationClient.send(command);
+    return response.DataLakeSettings;
+}
@@ -1,109 +1,863 @@
 'use strict';
 /**
- * Lambda that takes a RAM resource share arn, extracts shared Glue tables from it, and creates corresponding tables in this account/region.
+ * Lambda that takes RAM resource share arns, extracts shared Glue tables from them, and grants Lake Formation permission on them
+ * in the region of each resource share.
  **/
-import https from "https";
-import url from "url";
+import { createHash } from "crypto";
 import {
     RAMClient,
     ListResourcesCommand
 } from "@aws-sdk/client-ram";
 import {
-    LakeFormationClient,
-    GrantPermissionsCommand,
-    PutDataLakeSettingsCommand,
-    GetDataLakeSettingsCommand
-} from "@aws-sdk/client-lakeformation";
+    GlueClient,
+    GetTableCommand
+} from "@aws-sdk/client-glue";
+import { LakeFormationClient } from "@aws-sdk/client-lakeformation";
+import { SSMClient } from "@aws-sdk/client-ssm";
 import {
-    ACCOUNT_ID_FROM_STACK_REGEX,
-    DATABASE_NAME_CAPTURE_REGEX,
-    RESOURCE_SHARE_ARN_REGEX
+    PERMISSION_RECORD_PARAMETER,
+    SECURITY_LAKE_DATABASE_PREFIX,
+    DEFAULT_MAX_LIST_PAGES,
+    NAMED_RESOURCE_PERMISSION_MODE,
+    LF_TAG_PERMISSION_MODE,
+    DEFAULT_LF_TAG_KEY,
+    SOURCE_LF_TAG_KEY_SUFFIX,
+    LF_TAG_KEY_REGEX,
+    DATA_CELLS_FILTER_NAME_PREFIX,
+    PRINCIPAL_TYPES,
+    IDENTITY_CENTER_RESOURCE_REGEX,
+    SAML_RESOURCE_REGEX,
+    DEFAULT_PERMISSION_SETS,
+    ALLOWED_PERMISSIONS
 } from "./constant.mjs";
+import {
+    changePermissionsAsTemporaryAdmin,
+    planPermissionChanges,
+    getMissingDataLakeAdmins,
+    getLakeFormationDataLakeSettings
+} from "./data-lake-admin.mjs";
+import {
+    getMissingLakeFormationGrants,
+    grantLakeFormationPermission,
+    revokeLakeFormationPermission,
+    buildLFTagExpression,
+    buildLFTagOperations,
+    subtractLFTagOperations,
+    changeLFTags
+} from "./lake-formation-grant.mjs";
+import { savePermissionRecord, getPermissionRecord, deletePermissionRecord } from "./permission-record.mjs";
+import { sendResponse } from "./common/cfn-response.mjs";
+import { filterTableNamesBySourceTypes, getTableSourceType, parseSourceTypes } from "./common/security-lake-table.mjs";
+import { parseResourceShareArns, getResourceShareRegion } from "./common/resource-share.mjs";
+import {
+    parseArn,
+    parseGlueDatabaseArn,
+    parseGlueTableArn,
+    parseStackArn,
+    isIamPrincipalArn,
+    isValidAccountId
+} from "./common/arn.mjs";
+import {
+    parseParameterNamespace,
+    scopeParameterName,
+    validateParameterNamespaceUnchanged
+} from "./common/parameter-namespace.mjs";
+import { runCheck, buildHealthReport } from "./common/health-check.mjs";
+import {
+    isDryRun,
+    isDryRunPhysicalResourceId,
+    buildDryRunPhysicalResourceId,
+    buildPlanData
+} from "./common/dry-run.mjs";
 
 export async function handler(event, context) {
     console.log("REQUEST RECEIVED.");
-    if (event.RequestType === "Update") {
-        const reason = "RequestType is Update which is not supported.";
-        console.error(reason);
-        await sendResponse(event, context, "FAILED", reason);
-        return;
+    if (event.RequestType === "HealthCheck") {
+        return await checkHealth(event, context);
+    }
+    if (event.RequestType === "Reconcile") {
+        // Scheduled runs come from EventBridge without a ResponseURL, failures are reported as lambda errors instead.
+        const [result, reason, data] = await startReconcile(event, context);
+        if (result !== "SUCCESS") {
+            throw reason;
+        }
+        return data;
     }
-
     let result;
     let reason;
-    if (event.RequestType === "Create") {
-        [result, reason] = await startCreate(event, context);
+    let data;
+    let physicalResourceId;
+    if (event.RequestType === "Create" || (event.RequestType === "Update" && isDryRunPhysicalResourceId(event.PhysicalResourceId))) {
+        [result, reason, data] = await startCreate(event, context);
+        if (isDryRun(event.ResourceProperties)) {
+            physicalResourceId = event.PhysicalResourceId ?? buildDryRunPhysicalResourceId(context);
+        }
+    } else if (event.RequestType === "Update") {
+        physicalResourceId = event.PhysicalResourceId;
+        [result, reason, data] = await startUpdate(event, context);
     } else if (event.RequestType === "Delete") {
-        // For Delete requests, immediately send a SUCCESS response.
-        result = "SUCCESS";
+        physicalResourceId = event.PhysicalResourceId;
+        [result, reason, data] = await startDelete(event, context);
     } else {
-        reason = "Unrecognized cloudformation request type received. This custom resource only supports creation and deletion.";
+        reason = "Unrecognized cloudformation request type received. This custom resource only supports creation, update and deletion.";
         console.error(reason);
         result = "FAILED";
     }
-    await sendResponse(event, context, result, reason);
+    await sendResponse(event, context, result, { physicalResourceId, reason, data });
 }
 
+/**
+ * Grant permission to every principal in the region of every resource share. With the DryRun property, the resource
+ * shares and DataLakeSettings are only read and the planned changes are returned as response Data.
+ */
 async function startCreate(event, context) {
     try {
         console.log("Start attaching Lake Formation permissions..");
-        const resourceShareArn = getResourceShareArn(event);
-        const currentRegion = process.env.AWS_REGION;
-        const [ramClient, lakeFormationClient] = buildClients(currentRegion);
+        const plannedActions = isDryRun(event.ResourceProperties) ? [] : undefined;
+        const resourceShareArns = getResourceShareArns(event);
+        const ssmClient = buildSsmClient();
+        const recordParameterName = getPermissionRecordParameterName(event);
         const lakeformationDataLakePrincipals = getLakeFormationDataLakePrincipals(event);
-        const databaseName = await getDatabaseName(ramClient, resourceShareArn);
-        const existingDataLakeSettings = await getLakeFormationDataLakeSettings(lakeFormationClient);
-        const newDataLakeSettings = buildDataLakeSettings(existingDataLakeSettings, lakeformationDataLakePrincipals);
+        const dataLakeAdminPrincipals = getDataLakeAdminPrincipals(event, lakeformationDataLakePrincipals);
+        const maxListPages = getMaxListPages(event);
+        const lfTagMode = getLFTagMode(event);
         const currentCallerIdentityArn = await getCurrentCallerIdentityArn(event);
-        // Add current caller identity to Lake Formation DataLake admins temporarily
-        // in order to grant Lake Formation permission to lakeformationDataLakePrincipals.
-        const temporaryDataLakeSettings = buildDataLakeSettings(newDataLakeSettings, [currentCallerIdentityArn]);
-
-        console.log(`Adding lambda role ${currentCallerIdentityArn} and LakeFormation principals into LakeFormation DataLakeAdmins...`);
-        await setLakeFormationDataLakeSettings(lakeFormationClient, temporaryDataLakeSettings);
-        console.log("Granting LakeFormation permission to LakeFormation principals...");
-        await grantLakeFormationPermission(lakeFormationClient, databaseName, lakeformationDataLakePrincipals)
-        console.log(`Permission granted. Removing lambda role ${currentCallerIdentityArn} from LakeFormation DataLakeAdmins...`);
-        await setLakeFormationDataLakeSettings(lakeFormationClient, newDataLakeSettings);
-        return ["SUCCESS", undefined];
+        validatePermissionRecordOwner(await getPermissionRecord(ssmClient, recordParameterName), event.StackId, recordParameterName);
+        let permissionRecord = { Regions: {} };
+        recordResourceProperties(permissionRecord, event);
+        let databases = [];
+        // Lake Formation permissions and DataLakeSettings are regional, each resource share is handled in its own region.
+        for (const resourceShareArn of resourceShareArns) {
+            const region = getResourceShareRegion(resourceShareArn);
+            console.log(`Attaching Lake Formation permissions in ${region}..`);
+            const [ramClient, lakeFormationClient, glueClient] = buildClients(region);
+            const databaseArn = await getDatabaseNameArn(ramClient, resourceShareArn, region, maxListPages);
+            const [securityLakeAdminAccount, databaseName] = getDatabaseArnParts(databaseArn);
+            const grants = await getGrants(event, ramClient, glueClient, resourceShareArn, databaseName, lakeformationDataLakePrincipals, maxListPages, lfTagMode);
+            const lfTags = await getLFTagAssignment(lfTagMode, ramClient, resourceShareArn, databaseName, maxListPages);
+            const existingDataLakeSettings = await getLakeFormationDataLakeSettings(lakeFormationClient);
+            // Record what is about to change before touching Lake Formation, so that Delete can undo it
+            // even if this creation fails half way.
+            permissionRecord.Regions[region] = {
+                DatabaseName: databaseName,
+                Grants: grants,
+                AddedDataLakeAdmins: getMissingDataLakeAdmins(existingDataLakeSettings, dataLakeAdminPrincipals),
+                ...(lfTags ? { LFTags: lfTags } : {})
+            };
+            await savePermissionRecord(ssmClient, recordParameterName, permissionRecord, plannedActions);
+            if (plannedActions) {
+                await planPermissionChanges(plannedActions, lakeFormationClient, region, currentCallerIdentityArn,
+                    dataLakeAdminPrincipals, [], [
+                        { Action: "AddLFTags", Operations: buildLFTagOperations(lfTags) },
+                        { Action: "GrantSelect", DatabaseName: databaseName, Grants: grants }
+                    ]);
+                databases.push([securityLakeAdminAccount, databaseName]);
+                continue;
+            }
+            // Add current caller identity to Lake Formation DataLake admins temporarily
+            // in order to grant Lake Formation permission to lakeformationDataLakePrincipals.
+            console.log(`Adding lambda role ${currentCallerIdentityArn} and LakeFormation principals into LakeFormation DataLakeAdmins...`);
+            await changePermissionsAsTemporaryAdmin(lakeFormationClient, context,
+                currentCallerIdentityArn, dataLakeAdminPrincipals, [], async (progress) => {
+                    await changeLFTags(lakeFormationClient, lfTags, buildLFTagOperations(lfTags), []);
+                    console.log("Granting LakeFormation permission to LakeFormation principals...");
+                    await grantLakeFormationPermission(lakeFormationClient, databaseName, grants, progress);
+                    console.log(`Permission granted. Removing lambda role ${currentCallerIdentityArn} from LakeFormation DataLakeAdmins...`);
+                });
+            databases.push([securityLakeAdminAccount, databaseName]);
+        }
+        return ["SUCCESS", undefined, {
+            ...buildResponseData(databases, lakeformationDataLakePrincipals),
+            ...(plannedActions ? buildPlanData(plannedActions) : {})
+        }];
+    } catch (exception) {
+        console.error(exception);
+        return ["FAILED", exception];
+    }
+}
+
+/**
+ * Grant the added principals, tables and regions and revoke the removed ones, leaving unchanged grants alone, or only plan
+ * it with DryRun. Principals are moved to the new database of a region whose shared database changed.
+ */
+async function startUpdate(event, context) {
+    try {
+        console.log("Start updating Lake Formation permissions..");
+        const plannedActions = isDryRun(event.ResourceProperties) ? [] : undefined;
+        const resourceShareArns = getResourceShareArns(event);
+        const ssmClient = buildSsmClient();
+        const recordParameterName = getPermissionRecordParameterName(event);
+        validateParameterNamespaceUnchanged(event.OldResourceProperties, parseParameterNamespace(event.ResourceProperties.ParameterNamespace));
+        const lakeformationDataLakePrincipals = getLakeFormationDataLakePrincipals(event);
+        const existingPermissionRecord = await getPermissionRecord(ssmClient, recordParameterName);
+        validatePermissionRecordOwner(existingPermissionRecord, event.StackId, recordParameterName);
+        // A dry run update applied nothing, so the principals last applied are the recorded ones rather than the old properties.
+        const oldProperties = existingPermissionRecord?.ResourceProperties ?? event.OldResourceProperties;
+        const oldPrincipals = [...new Set(oldProperties?.LakeFormationPrincipals ?? [])];
+        const principalsDiff = diffPrincipals(oldPrincipals, lakeformationDataLakePrincipals);
+        console.log(`LakeFormation principals diff: ${JSON.stringify(principalsDiff)}`);
+        const maxListPages = getMaxListPages(event);
+        const lfTagMode = getLFTagMode(event);
+        const currentCallerIdentityArn = await getCurrentCallerIdentityArn(event);
+        // Without a record, the stack was created before permissions were recorded, in the lambda region only.
+        const oldRegions = existingPermissionRecord
+            ? Object.keys(existingPermissionRecord.Regions)
+            : [process.env.AWS_REGION];
+        let permissionRecord = existingPermissionRecord ?? { Regions: {} };
+        recordResourceProperties(permissionRecord, event);
+        let databases = [];
+        for (const resourceShareArn of resourceShareArns) {
+            const region = getResourceShareRegion(resourceShareArn);
+            console.log(`Updating Lake Formation permissions in ${region}..`);
+            const [ramClient, lakeFormationClient, glueClient] = buildClients(region);
+            const databaseArn = await getDatabaseNameArn(ramClient, resourceShareArn, region, maxListPages);
+            const [securityLakeAdminAccount, databaseName] = getDatabaseArnParts(databaseArn);
+            const grants = await getGrants(event, ramClient, glueClient, resourceShareArn, databaseName, lakeformationDataLakePrincipals, maxListPages, lfTagMode);
+            const lfTags = await getLFTagAssignment(lfTagMode, ramClient, resourceShareArn, databaseName, maxListPages);
+            // In the region of an added resource share, every principal is new.
+            const regionPrincipalsDiff = oldRegions.includes(region)
+                ? principalsDiff
+                : diffPrincipals([], lakeformationDataLakePrincipals);
+            const adminsToAdd = getDataLakeAdminPrincipals(event, regionPrincipalsDiff.added);
+            const regionRecord = permissionRecord.Regions[region];
+            const oldDatabaseName = regionRecord?.DatabaseName ?? databaseName;
+            const databaseChanged = oldDatabaseName !== databaseName;
+            const oldGrants = regionRecord
+                ? getRecordedGrants(regionRecord)
+                : regionPrincipalsDiff.unchanged.concat(regionPrincipalsDiff.removed).map(principal => ({ Principal: principal }));
+            const grantsToRevoke = databaseChanged ? oldGrants : subtractGrants(oldGrants, grants);
+            const grantsToAdd = databaseChanged ? grants : subtractGrants(grants, oldGrants);
+            console.log(`Grants diff in ${region}, added: ${JSON.stringify(grantsToAdd)}, revoked: ${JSON.stringify(grantsToRevoke)}`);
+            // Switching PermissionMode or database untags every recorded resource and tags the new ones.
+            const oldLFTagOperations = buildLFTagOperations(regionRecord?.LFTags);
+            const lfTagOperationsToAdd = subtractLFTagOperations(buildLFTagOperations(lfTags), oldLFTagOperations);
+            const lfTagOperationsToRemove = subtractLFTagOperations(oldLFTagOperations, buildLFTagOperations(lfTags));
+
+            const existingDataLakeSettings = await getLakeFormationDataLakeSettings(lakeFormationClient);
+            // Only remove the admins this stack added, admins that existed before the stack are kept.
+            const oldAddedDataLakeAdmins = regionRecord?.AddedDataLakeAdmins ?? [];
+            const adminsToRemove = oldAddedDataLakeAdmins.filter(principal => regionPrincipalsDiff.removed.includes(principal));
+            permissionRecord.Regions[region] = {
+                DatabaseName: databaseName,
+                Grants: grants,
+                AddedDataLakeAdmins: [
+                    ...oldAddedDataLakeAdmins.filter(principal => !adminsToRemove.includes(principal)),
+                    ...getMissingDataLakeAdmins(existingDataLakeSettings, adminsToAdd)
+                ],
+                ...(lfTags ? { LFTags: lfTags } : {})
+            };
+            await savePermissionRecord(ssmClient, recordParameterName, permissionRecord, plannedActions);
+            if (grantsToAdd.length === 0 && grantsToRevoke.length === 0 && adminsToAdd.length === 0 && adminsToRemove.length === 0
+                && lfTagOperationsToAdd.length === 0 && lfTagOperationsToRemove.length === 0) {
+                console.log(`Lake Formation permissions in ${region} are unchanged.`);
+                databases.push([securityLakeAdminAccount, databaseName]);
+                continue;
+            }
+            if (plannedActions) {
+                await planPermissionChanges(plannedActions, lakeFormationClient, region, currentCallerIdentityArn,
+                    adminsToAdd, adminsToRemove, [
+                        { Action: "RevokeSelect", DatabaseName: oldDatabaseName, Grants: grantsToRevoke },
+                        { Action: "RemoveLFTags", Operations: lfTagOperationsToRemove },
+                        { Action: "AddLFTags", Operations: lfTagOperationsToAdd },
+                        { Action: "GrantSelect", DatabaseName: databaseName, Grants: grantsToAdd }
+                    ]);
+                databases.push([securityLakeAdminAccount, databaseName]);
+                continue;
+            }
+            // Add current caller identity to Lake Formation DataLake admins temporarily
+            // in order to grant and revoke Lake Formation permission.
+            console.log(`Adding lambda role ${currentCallerIdentityArn} and added LakeFormation principals into LakeFormation DataLakeAdmins...`);
+            await changePermissionsAsTemporaryAdmin(lakeFormationClient, context,
+                currentCallerIdentityArn, adminsToAdd, adminsToRemove, async (progress) => {
+                    console.log(`Revoking LakeFormation permission on ${oldDatabaseName}: ${JSON.stringify(grantsToRevoke)}...`);
+                    await revokeLakeFormationPermission(lakeFormationClient, oldDatabaseName, grantsToRevoke, progress);
+                    await changeLFTags(lakeFormationClient, lfTags, lfTagOperationsToAdd, lfTagOperationsToRemove);
+                    console.log(`Granting LakeFormation permission on ${databaseName}: ${JSON.stringify(grantsToAdd)}...`);
+                    await grantLakeFormationPermission(lakeFormationClient, databaseName, grantsToAdd, progress);
+                    console.log(`Permissions updated. Removing lambda role ${currentCallerIdentityArn} from LakeFormation DataLakeAdmins...`);
+                });
+            databases.push([securityLakeAdminAccount, databaseName]);
+        }
+
+        const newRegions = resourceShareArns.map(getResourceShareRegion);
+        for (const region of Object.keys(permissionRecord.Regions).filter(region => !newRegions.includes(region))) {
+            console.log(`Resource share of ${region} was removed, removing its Lake Formation permissions..`);
+            await removeRegionPermissions(context, region, permissionRecord.Regions[region], currentCallerIdentityArn, plannedActions);
+            delete permissionRecord.Regions[region];
+            await savePermissionRecord(ssmClient, recordParameterName, permissionRecord, plannedActions);
+        }
+        return ["SUCCESS", undefined, {
+            ...buildResponseData(databases, lakeformationDataLakePrincipals),
+            AddedPrincipals: principalsDiff.added.join(","),
+            RemovedPrincipals: principalsDiff.removed.join(","),
+            UnchangedPrincipals: principalsDiff.unchanged.join(","),
+            ...(plannedActions ? buildPlanData(plannedActions) : {})
+        }];
     } catch (exception) {
         console.error(exception);
         return ["FAILED", exception];
     }
 }
 
-function getResourceShareArn(event) {
-    const resourceShareArn = event.ResourceProperties.ResourceShareArn;
-    validateResourceShareArn(resourceShareArn);
-    console.log(`Resource share arn: ${resourceShareArn}`);
-    return resourceShareArn;
+/**
+ * Apply the properties recorded in the permission record as an update, which grants the tables added to the resource
+ * shares since, for example after the Security Lake admin added a source, and revokes the removed ones.
+ */
+async function startReconcile(event, context) {
+    try {
+        console.log("Start reconciling Lake Formation permissions..");
+        const ssmClient = buildSsmClient();
+        const recordParameterName = getPermissionRecordParameterName(event);
+        const permissionRecord = await getPermissionRecord(ssmClient, recordParameterName);
+        if (!permissionRecord?.ResourceProperties) {
+            throw new Error(`Permission record ${recordParameterName} holds no resource properties, please update the stack once before reconciling.`);
+        }
+        return await startUpdate({
+            RequestType: "Update",
+            StackId: permissionRecord.StackId,
+            ResourceProperties: {
+                ...permissionRecord.ResourceProperties,
+                ...(isDryRun(event.ResourceProperties) ? { DryRun: "true" } : {})
+            },
+            OldResourceProperties: permissionRecord.ResourceProperties
+        }, context);
+    } catch (exception) {
+        console.error(exception);
+        return ["FAILED", exception];
+    }
+}
+
+/**
+ * Check in the region of every recorded resource share that the principals are DataLake admins, that the lambda role is
+ * not left as one, and that the grants of the shared tables are held in Lake Formation and recorded.
+ */
+async function checkHealth(event, context) {
+    let checks = [];
+    let permissionRecord;
+    await runCheck(checks, "PermissionRecord", "Update the stack once so that the permission record holds its resource properties.", async () => {
+        const recordParameterName = getPermissionRecordParameterName(event);
+        permissionRecord = await getPermissionRecord(buildSsmClient(), recordParameterName);
+        return {
+            passed: !!permissionRecord?.ResourceProperties,
+            detail: permissionRecord
+                ? `Permission record ${recordParameterName} covers regions ${Object.keys(permissionRecord.Regions).join(",")}.`
+                : `Permission record ${recordParameterName} does not exist.`
+        };
+    });
+    if (!permissionRecord?.ResourceProperties) {
+        return buildHealthReport("GlueTables", checks);
+    }
+    const recordedEvent = { StackId: permissionRecord.StackId, ResourceProperties: permissionRecord.ResourceProperties };
+    let resourceShareArns = [];
+    let lakeformationDataLakePrincipals;
+    let dataLakeAdminPrincipals;
+    let maxListPages;
+    let currentCallerIdentityArn;
+    await runCheck(checks, "ResourceProperties", "Update the stack with valid resource properties.", async () => {
+        lakeformationDataLakePrincipals = getLakeFormationDataLakePrincipals(recordedEvent);
+        dataLakeAdminPrincipals = getDataLakeAdminPrincipals(recordedEvent, lakeformationDataLakePrincipals);
+        maxListPages = getMaxListPages(recordedEvent);
+        currentCallerIdentityArn = await getCurrentCallerIdentityArn(recordedEvent);
+        // Set last, so that no region is checked with invalid properties.
+        resourceShareArns = getResourceShareArns(recordedEvent);
+        return { passed: true, detail: `Resource share arns: ${resourceShareArns.join(",")}` };
+    });
+    for (const resourceShareArn of resourceShareArns) {
+        const region = getResourceShareRegion(resourceShareArn);
+        const [ramClient, lakeFormationClient, glueClient] = buildClients(region);
+        let dataLakeSettings;
+        await runCheck(checks, `DataLakeAdmins ${region}`, "Add the missing principals to the Lake Formation DataLake administrators, or run a Reconcile.", async () => {
+            dataLakeSettings = await getLakeFormationDataLakeSettings(lakeFormationClient);
+            const missingAdmins = getMissingDataLakeAdmins(dataLakeSettings, dataLakeAdminPrincipals);
+            return {
+                passed: missingAdmins.length === 0,
+                detail: `${dataLakeAdminPrincipals.length - missingAdmins.length} of ${dataLakeAdminPrincipals.length} IAM principals are DataLake admins.`,
+                drift: missingAdmins.length > 0 ? { MissingDataLakeAdmins: missingAdmins } : undefined
+            };
+        });
+        if (dataLakeSettings) {
+            await runCheck(checks, `TemporaryAdmin ${region}`, `Remove the lambda role ${currentCallerIdentityArn} from the Lake Formation DataLake administrators, unless it was one before the stack.`, async () => {
+                const isAdmin = getMissingDataLakeAdmins(dataLakeSettings, [currentCallerIdentityArn]).length === 0;
+                return {
+                    passed: !isAdmin,
+                    detail: isAdmin ? `Lambda role ${currentCallerIdentityArn} is a DataLake admin.` : `Lambda role ${currentCallerIdentityArn} is not a DataLake admin.`
+                };
+            });
+        }
+        await runCheck(checks, `Grants ${region}`, "Run a Reconcile or update the stack to grant the missing permissions.", async () => {
+            const databaseArn = await getDatabaseNameArn(ramClient, resourceShareArn, region, maxListPages);
+            const [, databaseName] = getDatabaseArnParts(databaseArn);
+            const grants = await getGrants(recordedEvent, ramClient, glueClient, resourceShareArn, databaseName, lakeformationDataLakePrincipals, maxListPages, getLFTagMode(recordedEvent));
+            const regionRecord = permissionRecord.Regions[region];
+            const recordedDatabaseName = regionRecord?.DatabaseName;
+            const recordedGrants = recordedDatabaseName === databaseName ? getRecordedGrants(regionRecord) : [];
+            const unrecordedGrants = subtractGrants(grants, recordedGrants);
+            const staleGrants = subtractGrants(regionRecord ? getRecordedGrants(regionRecord) : [], grants);
+            // ListPermissions only returns every permission to a DataLake admin, the lambda role is not made one to read them.
+            const isAdmin = !!dataLakeSettings && getMissingDataLakeAdmins(dataLakeSettings, [currentCallerIdentityArn]).length === 0;
+            const missingGrants = isAdmin ? await getMissingLakeFormationGrants(lakeFormationClient, databaseName, grants, maxListPages) : [];
+            const drifted = missingGrants.length > 0 || unrecordedGrants.length > 0 || staleGrants.length > 0;
+            return {
+                passed: isAdmin && !drifted,
+                inconclusive: !isAdmin && !drifted,
+                detail: `${grants.length - unrecordedGrants.length} of ${grants.length} grants on ${databaseName} are recorded, the recorded database is ${recordedDatabaseName ?? "none"}. `
+                    + (isAdmin
+                        ? `${grants.length - missingGrants.length} of them are held in Lake Formation.`
+                        : "Held grants are inconclusive, the lambda role is not a DataLake admin and cannot see them."),
+                drift: drifted
+                    ? { MissingGrants: missingGrants, UnrecordedGrants: unrecordedGrants, StaleGrants: staleGrants }
+                    : undefined
+            };
+        });
+    }
+    return buildHealthReport("GlueTables", checks);
+}
+
+/**
+ * Throw error if permissionRecord was saved by another stack than stackId, overwriting it would lose track of the
+ * permissions of that stack. Records saved before the stack id was recorded are not checked.
+ */
+function validatePermissionRecordOwner(permissionRecord, stackId, recordParameterName) {
+    if (permissionRecord?.StackId && permissionRecord.StackId !== stackId) {
+        throw new Error(`Permission record ${recordParameterName} belongs to stack ${permissionRecord.StackId}, please delete that stack first or use another ParameterNamespace.`);
+    }
+}
+
+/**
+ * Keep the resource properties of event in permissionRecord, so that a scheduled reconciliation can apply them again.
+ */
+function recordResourceProperties(permissionRecord, event) {
+    const { ServiceToken, ...resourceProperties } = event.ResourceProperties;
+    permissionRecord.StackId = event.StackId;
+    permissionRecord.ResourceProperties = resourceProperties;
+}
+
+/**
+ * Build the response Data, readable through Fn::GetAtt on the custom resource.
+ * databases lists the [securityLakeAdminAccount, databaseName] of every resource share, comma-joined in the same order.
+ */
+function buildResponseData(databases, principals) {
+    return {
+        SecurityLakeAdminAccountId: [...new Set(databases.map(([securityLakeAdminAccount]) => securityLakeAdminAccount))].join(","),
+        DatabaseName: databases.map(([, databaseName]) => databaseName).join(","),
+        LakeFormationPrincipals: principals.join(",")
+    };
+}
+
+/**
+ * Split principals into the ones added to, removed from and kept in newPrincipals compared to oldPrincipals.
+ */
+function diffPrincipals(oldPrincipals, newPrincipals) {
+    return {
+        added: newPrincipals.filter(principal => !oldPrincipals.includes(principal)),
+        removed: oldPrincipals.filter(principal => !newPrincipals.includes(principal)),
+        unchanged: newPrincipals.filter(principal => oldPrincipals.includes(principal))
+    };
+}
+
+/**
+ * Get the grants of principals: a ResourceLink grant for those of the account, and a grant on every table, on each table of
+ * its source types or access policy, or on its LFTagExpression. Throws error if some source types match no shared table.
+ */
+async function getGrants(event, ramClient, glueClient, resourceShareArn, databaseName, principals, maxListPages, lfTagMode) {
+    const principalSourceTypes = getPrincipalSourceTypes(event, principals);
+    const accessPolicies = parsePrincipalAccessPolicies(event.ResourceProperties.PrincipalAccessPolicies, principals);
+    const permissionSets = parsePermissionSets(event.ResourceProperties.PermissionSets);
+    if (Object.keys(accessPolicies).length > 0 && !permissionSets.Tables.Permissions.includes("SELECT")) {
+        throw new Error("PrincipalAccessPolicies limit SELECT, which is missing from the Tables permissions of PermissionSets.");
+    }
+    const tablePermissions = buildGrantPermissions(permissionSets.Tables);
+    // Columns and data cells filters only support SELECT.
+    const accessPolicyPermissions = buildGrantPermissions({
+        Permissions: ["SELECT"],
+        Grantable: permissionSets.Tables.Grantable.filter(permission => permission === "SELECT")
+    });
+    const stack = getStack(event.StackId);
+    const allowedExternalAccountIds = getAllowedExternalAccountIds(event, stack);
+    const tableNames = Object.keys(principalSourceTypes).length > 0 || Object.keys(accessPolicies).length > 0
+        ? await getTableNames(ramClient, resourceShareArn, databaseName, maxListPages)
+        : [];
+    // Data cells filters are created in the catalog of the stack account, which holds the resource links.
+    const catalogId = stack.AccountId;
+    const namespace = parseParameterNamespace(event.ResourceProperties.ParameterNamespace);
+    // Columns of each table, read once for every principal with an access policy.
+    const tableColumnNames = new Map();
+    let grants = [];
+    for (const principal of principals) {
+        // Resource links cannot be shared, so principals of other accounts cannot be granted on them.
+        const principalType = getPrincipalType(principal, stack, allowedExternalAccountIds);
+        if (permissionSets.ResourceLink.Permissions.length > 0
+            && principalType !== PRINCIPAL_TYPES.EXTERNAL_ACCOUNT && principalType !== PRINCIPAL_TYPES.EXTERNAL_IAM) {
+            grants.push({
+                Principal: principal,
+                ResourceLink: true,
+                ...(lfTagMode ? { LFTagExpression: buildLFTagExpression(lfTagMode) } : {}),
+                ...buildGrantPermissions(permissionSets.ResourceLink)
+            });
+        }
+        const sourceTypes = principalSourceTypes[principal];
+        if (accessPolicies[principal]) {
+            const principalTableNames = sourceTypes ? filterTableNamesBySourceTypes(tableNames, sourceTypes) : tableNames;
+            if (principalTableNames.length === 0) {
+                throw new Error(`No shared table matches source types ${sourceTypes.join(",")} of principal ${principal}.`);
+            }
+            for (const tableName of principalTableNames) {
+                const columnNames = await getTableColumnNames(glueClient, databaseName, tableName, tableColumnNames);
+                const grant = buildAccessPolicyGrant(principal, accessPolicies[principal], tableName, columnNames, catalogId, namespace);
+                if (grant) {
+                    grants.push({ ...grant, ...accessPolicyPermissions });
+                }
+            }
+            continue;
+        }
+        if (!sourceTypes) {
+            grants.push(lfTagMode
+                ? { Principal: principal, LFTagExpression: buildLFTagExpression(lfTagMode), ...tablePermissions }
+                : { Principal: principal, ...tablePermissions });
+            continue;
+        }
+        const matchingTableNames = filterTableNamesBySourceTypes(tableNames, sourceTypes);
+        if (matchingTableNames.length === 0) {
+            throw new Error(`No shared table matches source types ${sourceTypes.join(",")} of principal ${principal}.`);
+        }
+        if (lfTagMode) {
+            // Only the source types of shared tables, which are values of the source LF-Tag once the tables are tagged.
+            const matchingSourceTypes = [...new Set(matchingTableNames.map(getTableSourceType))].sort();
+            grants.push({ Principal: principal, LFTagExpression: buildLFTagExpression(lfTagMode, matchingSourceTypes), ...tablePermissions });
+            continue;
+        }
+        grants.push(...matchingTableNames.map(tableName => ({ Principal: principal, TableName: tableName, ...tablePermissions })));
+    }
+    return grants;
+}
+
+/**
+ * Get the source types each principal is restricted to. PrincipalSourceTypes overrides SourceTypes for a principal,
+ * principals without any source type are left out.
+ */
+function getPrincipalSourceTypes(event, principals) {
+    const sourceTypes = parseSourceTypes(event.ResourceProperties.SourceTypes, "SourceTypes");
+    const sourceTypesByPrincipal = parsePrincipalSourceTypes(event.ResourceProperties.PrincipalSourceTypes, principals);
+    let principalSourceTypes = {};
+    for (const principal of principals) {
+        const effectiveSourceTypes = sourceTypesByPrincipal[principal] ?? sourceTypes;
+        if (effectiveSourceTypes.length > 0) {
+            principalSourceTypes[principal] = effectiveSourceTypes;
+        }
+    }
+    console.log(`Source types per principal: ${JSON.stringify(principalSourceTypes)}`);
+    return principalSourceTypes;
 }
 
-function validateResourceShareArn(arn) {
-    const resourceShareRegex = new RegExp(RESOURCE_SHARE_ARN_REGEX);
-    if(!resourceShareRegex.test(arn)) {
-        throw new Error("Invalid ResourceShareArn.");
+/**
+ * Parse PrincipalSourceTypes, an object (or its JSON string) mapping principals to their list of source types.
+ */
+function parsePrincipalSourceTypes(value, principals) {
+    if (value === undefined || value === null || value === "") {
+        return {};
+    }
+    let parsed = value;
+    if (typeof value === "string") {
+        try {
+            parsed = JSON.parse(value);
+        } catch (error) {
+            throw new Error("PrincipalSourceTypes is not valid JSON.");
+        }
+    }
+    if (typeof parsed !== "object" || Array.isArray(parsed) || parsed === null) {
+        throw new Error("PrincipalSourceTypes is not an object mapping principals to source types.");
+    }
+    let sourceTypesByPrincipal = {};
+    for (const [principal, sourceTypes] of Object.entries(parsed)) {
+        if (!principals.includes(principal)) {
+            throw new Error(`PrincipalSourceTypes contains ${principal} which is not in LakeFormationPrincipals.`);
+        }
+        sourceTypesByPrincipal[principal] = parseSourceTypes(sourceTypes, `PrincipalSourceTypes of ${principal}`);
     }
+    return sourceTypesByPrincipal;
+}
+
+/**
+ * Parse PermissionSets, an object (or its JSON string) with the {Permissions, Grantable} of the ResourceLink and Tables
+ * levels. A missing level keeps its DEFAULT_PERMISSION_SETS, an empty ResourceLink Permissions list grants nothing on it.
+ */
+function parsePermissionSets(value) {
+    if (value === undefined || value === null || value === "") {
+        return DEFAULT_PERMISSION_SETS;
+    }
+    let parsed = value;
+    if (typeof value === "string") {
+        try {
+            parsed = JSON.parse(value);
+        } catch (error) {
+            throw new Error("PermissionSets is not valid JSON.");
+        }
+    }
+    if (typeof parsed !== "object" || Array.isArray(parsed) || parsed === null) {
+        throw new Error("PermissionSets is not an object mapping ResourceLink and Tables to permissions.");
+    }
+    const unknownLevels = Object.keys(parsed).filter(level => !ALLOWED_PERMISSIONS[level]);
+    if (unknownLevels.length > 0) {
+        throw new Error(`PermissionSets has unknown levels ${unknownLevels.join(",")}, expected ${Object.keys(ALLOWED_PERMISSIONS).join(" or ")}.`);
+    }
+    let permissionSets = {};
+    for (const [level, allowedPermissions] of Object.entries(ALLOWED_PERMISSIONS)) {
+        permissionSets[level] = parsed[level] === undefined
+            ? DEFAULT_PERMISSION_SETS[level]
+            : parsePermissionSet(parsed[level], level, allowedPermissions);
+    }
+    if (permissionSets.Tables.Permissions.length === 0) {
+        throw new Error("Tables permissions of PermissionSets are empty.");
+    }
+    console.log(`Permission sets: ${JSON.stringify(permissionSets)}`);
+    return permissionSets;
+}
+
+function parsePermissionSet(permissionSet, level, allowedPermissions) {
+    if (typeof permissionSet !== "object" || Array.isArray(permissionSet) || permissionSet === null) {
+        throw new Error(`${level} of PermissionSets is not an object with Permissions and Grantable.`);
+    }
+    const unknownKeys = Object.keys(permissionSet).filter(key => !["Permissions", "Grantable"].includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(`${level} of PermissionSets has unknown keys ${unknownKeys.join(",")}, expected Permissions or Grantable.`);
+    }
+    const permissions = parsePermissions(permissionSet.Permissions, `Permissions of ${level}`, allowedPermissions);
+    const grantable = parsePermissions(permissionSet.Grantable ?? [], `Grantable of ${level}`, permissions);
+    return { Permissions: permissions, Grantable: grantable };
+}
+
+/**
+ * Check that permissions is a list of allowedPermissions and return it deduplicated, in the order of allowedPermissions.
+ */
+function parsePermissions(permissions, name, allowedPermissions) {
+    if (!Array.isArray(permissions)) {
+        throw new Error(`${name} is not a list of permissions.`);
+    }
+    const invalidPermissions = permissions.filter(permission => !allowedPermissions.includes(permission));
+    if (invalidPermissions.length > 0) {
+        throw new Error(`${name} contains ${invalidPermissions.join(",")}, allowed permissions are ${allowedPermissions.join(",") || "none"}.`);
+    }
+    return allowedPermissions.filter(permission => permissions.includes(permission));
+}
+
+/**
+ * Build the Permissions and PermissionsWithGrantOption of a grant from permissionSet, the latter only when not empty.
+ */
+function buildGrantPermissions(permissionSet) {
+    return {
+        Permissions: permissionSet.Permissions,
+        ...(permissionSet.Grantable.length > 0 ? { PermissionsWithGrantOption: permissionSet.Grantable } : {})
+    };
+}
+
+/**
+ * Parse PrincipalAccessPolicies, an object (or its JSON string) mapping principals to their access policy:
+ * {IncludedColumns} or {ExcludedColumns}, and an optional RowFilter expression.
+ */
+function parsePrincipalAccessPolicies(value, principals) {
+    if (value === undefined || value === null || value === "") {
+        return {};
+    }
+    let parsed = value;
+    if (typeof value === "string") {
+        try {
+            parsed = JSON.parse(value);
+        } catch (error) {
+            throw new Error("PrincipalAccessPolicies is not valid JSON.");
+        }
+    }
+    if (typeof parsed !== "object" || Array.isArray(parsed) || parsed === null) {
+        throw new Error("PrincipalAccessPolicies is not an object mapping principals to access policies.");
+    }
+    for (const [principal, accessPolicy] of Object.entries(parsed)) {
+        if (!principals.includes(principal)) {
+            throw new Error(`PrincipalAccessPolicies contains ${principal} which is not in LakeFormationPrincipals.`);
+        }
+        validateAccessPolicy(principal, accessPolicy);
+    }
+    console.log(`Access policy per principal: ${JSON.stringify(parsed)}`);
+    return parsed;
+}
+
+function validateAccessPolicy(principal, accessPolicy) {
+    if (typeof accessPolicy !== "object" || Array.isArray(accessPolicy) || accessPolicy === null) {
+        throw new Error(`Access policy of ${principal} is not an object.`);
+    }
+    const unknownKeys = Object.keys(accessPolicy).filter(key => !["IncludedColumns", "ExcludedColumns", "RowFilter"].includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(`Access policy of ${principal} has unknown keys ${unknownKeys.join(",")}, expected IncludedColumns, ExcludedColumns or RowFilter.`);
+    }
+    if (accessPolicy.IncludedColumns && accessPolicy.ExcludedColumns) {
+        throw new Error(`Access policy of ${principal} has both IncludedColumns and ExcludedColumns.`);
+    }
+    for (const key of ["IncludedColumns", "ExcludedColumns"]) {
+        const columns = accessPolicy[key];
+        if (columns !== undefined && (!Array.isArray(columns) || columns.length === 0
+            || !columns.every(column => typeof column === "string" && column.trim() !== ""))) {
+            throw new Error(`${key} of ${principal} is not a non-empty list of column names.`);
+        }
+    }
+    if (accessPolicy.RowFilter !== undefined && (typeof accessPolicy.RowFilter !== "string" || accessPolicy.RowFilter.trim() === "")) {
+        throw new Error(`RowFilter of ${principal} is not a filter expression.`);
+    }
+    if (!accessPolicy.IncludedColumns && !accessPolicy.ExcludedColumns && !accessPolicy.RowFilter) {
+        throw new Error(`Access policy of ${principal} restricts nothing.`);
+    }
+}
+
+/**
+ * Build the grant of principal on the columns of tableName allowed by accessPolicy, through a data cells filter for a
+ * RowFilter. Returns undefined if tableName has none of the IncludedColumns.
+ */
+function buildAccessPolicyGrant(principal, accessPolicy, tableName, columnNames, catalogId, namespace) {
+    let columns = {};
+    if (accessPolicy.IncludedColumns) {
+        const includedColumns = accessPolicy.IncludedColumns.filter(column => columnNames.includes(column));
+        if (includedColumns.length === 0) {
+            console.warn(`Table ${tableName} has none of the IncludedColumns of ${principal}, skipping it.`);
+            return undefined;
+        }
+        columns = { ColumnNames: includedColumns };
+    } else if (accessPolicy.ExcludedColumns) {
+        const excludedColumns = accessPolicy.ExcludedColumns.filter(column => columnNames.includes(column));
+        columns = excludedColumns.length > 0 ? { ExcludedColumnNames: excludedColumns } : {};
+    }
+    if (!accessPolicy.RowFilter) {
+        return { Principal: principal, TableName: tableName, ...columns };
+    }
+    const definition = { FilterExpression: accessPolicy.RowFilter, ...columns };
+    // Filters are per table, the name only has to differ between principals, definitions and stack namespaces.
+    const hash = createHash("sha256").update(JSON.stringify([namespace ?? "", principal, definition])).digest("hex");
+    return {
+        Principal: principal,
+        TableName: tableName,
+        DataCellsFilter: { TableCatalogId: catalogId, Name: DATA_CELLS_FILTER_NAME_PREFIX + hash.slice(0, 32), ...definition }
+    };
+}
+
+/**
+ * Get the column and partition key names of tableName, cached in tableColumnNames.
+ */
+async function getTableColumnNames(glueClient, databaseName, tableName, tableColumnNames) {
+    if (!tableColumnNames.has(tableName)) {
+        const response = await glueClient.send(new GetTableCommand({ DatabaseName: databaseName, Name: tableName }));
+        const columns = [...(response.Table.StorageDescriptor?.Columns ?? []), ...(response.Table.PartitionKeys ?? [])];
+        tableColumnNames.set(tableName, columns.map(column => column.Name));
+    }
+    return tableColumnNames.get(tableName);
+}
+
+/**
+ * Get the grants of a permission record. Records written before source types were supported only list principals,
+ * and grants recorded before PermissionSets only had SELECT.
+ */
+function getRecordedGrants(permissionRecord) {
+    const grants = permissionRecord.Grants ?? (permissionRecord.GrantedPrincipals ?? []).map(principal => ({ Principal: principal }));
+    return grants.map(grant => grant.Permissions ? grant : { ...grant, Permissions: ["SELECT"] });
+}
+
+/**
+ * Return the grants which are not in otherGrants.
+ */
+function subtractGrants(grants, otherGrants) {
+    const grantKey = grant => JSON.stringify([grant.Principal, grant.ResourceLink ?? false, grant.TableName ?? "*",
+        grant.LFTagExpression ?? null, grant.ColumnNames ?? null, grant.ExcludedColumnNames ?? null, grant.DataCellsFilter ?? null,
+        grant.Permissions ?? ["SELECT"], grant.PermissionsWithGrantOption ?? []]);
+    const otherGrantKeys = new Set(otherGrants.map(grantKey));
+    return grants.filter(grant => !otherGrantKeys.has(grantKey(grant)));
+}
+
+/**
+ * Revoke the recorded permissions and remove the recorded DataLakeAdmins in every recorded region, even with DryRun.
+ */
+async function startDelete(event, context) {
+    try {
+        if (isDryRunPhysicalResourceId(event.PhysicalResourceId)) {
+            // The record of the namespace belongs to another resource, if any.
+            console.log("Resource was created by a dry run, nothing to remove.");
+            return ["SUCCESS", undefined];
+        }
+        console.log("Start removing Lake Formation permissions..");
+        const ssmClient = buildSsmClient();
+        const recordParameterName = getPermissionRecordParameterName(event);
+        const permissionRecord = await getPermissionRecord(ssmClient, recordParameterName);
+        if (!permissionRecord) {
+            console.warn("No record of Lake Formation permissions granted by this stack, nothing to remove.");
+            return ["SUCCESS", undefined];
+        }
+        if (permissionRecord.StackId && permissionRecord.StackId !== event.StackId) {
+            // The Create of this stack was refused, the record and its permissions belong to the other stack.
+            console.warn(`Permission record belongs to stack ${permissionRecord.StackId}, nothing to remove.`);
+            return ["SUCCESS", undefined];
+        }
+        console.log(`Permission record: ${JSON.stringify(permissionRecord)}`);
+        const currentCallerIdentityArn = await getCurrentCallerIdentityArn(event);
+        for (const region of Object.keys(permissionRecord.Regions)) {
+            await removeRegionPermissions(context, region, permissionRecord.Regions[region], currentCallerIdentityArn);
+            // Forget the region once done, so that a retried deletion does not undo it twice.
+            delete permissionRecord.Regions[region];
+            await savePermissionRecord(ssmClient, recordParameterName, permissionRecord);
+        }
+        await deletePermissionRecord(ssmClient, recordParameterName);
+        return ["SUCCESS", undefined];
+    } catch (exception) {
+        console.error(exception);
+        return ["FAILED", exception];
+    }
+}
+
+/**
+ * Revoke the permissions, remove the LF-Tags and remove the DataLakeAdmins recorded in regionRecord for region, or only
+ * add them to plannedActions when given.
+ */
+async function removeRegionPermissions(context, region, regionRecord, currentCallerIdentityArn, plannedActions) {
+    const [, lakeFormationClient] = buildClients(region);
+    const addedDataLakeAdmins = regionRecord.AddedDataLakeAdmins ?? [];
+    if (plannedActions) {
+        await planPermissionChanges(plannedActions, lakeFormationClient, region, currentCallerIdentityArn, [], addedDataLakeAdmins, [
+            { Action: "RevokeSelect", DatabaseName: regionRecord.DatabaseName, Grants: getRecordedGrants(regionRecord) },
+            { Action: "RemoveLFTags", Operations: buildLFTagOperations(regionRecord.LFTags) }
+        ]);
+        return;
+    }
+    // Add current caller identity to Lake Formation DataLake admins temporarily
+    // in order to revoke Lake Formation permission from the recorded principals.
+    console.log(`Adding lambda role ${currentCallerIdentityArn} into and removing principals ${JSON.stringify(addedDataLakeAdmins)} from LakeFormation DataLakeAdmins in ${region}...`);
+    await changePermissionsAsTemporaryAdmin(lakeFormationClient, context,
+        currentCallerIdentityArn, [], addedDataLakeAdmins, async (progress) => {
+            console.log("Revoking LakeFormation permission from LakeFormation principals...");
+            await revokeLakeFormationPermission(lakeFormationClient, regionRecord.DatabaseName, getRecordedGrants(regionRecord), progress);
+            await changeLFTags(lakeFormationClient, regionRecord.LFTags, [], buildLFTagOperations(regionRecord.LFTags));
+            console.log(`Permission revoked. Removing lambda role ${currentCallerIdentityArn} from LakeFormation DataLakeAdmins...`);
+        });
+}
+
+function getResourceShareArns(event) {
+    const resourceShareArns = parseResourceShareArns(event.ResourceProperties.ResourceShareArn);
+    console.log(`Resource share arns: ${JSON.stringify(resourceShareArns)}`);
+    return resourceShareArns;
 }
 
 function getLakeFormationDataLakePrincipals(event) {
     const principals = event.ResourceProperties.LakeFormationPrincipals;
-    const accountId = getAccountId(event.StackId);
-    validatePrincipals(principals, accountId);
+    const stack = getStack(event.StackId);
+    validatePrincipals(principals, stack, getAllowedExternalAccountIds(event, stack));
     // deduplication
     const uniquePrincipals = [...new Set(principals)];
     console.log(`LakeFormation principals: ${JSON.stringify(uniquePrincipals)}`);
     return uniquePrincipals;
 }
 
-function getAccountId(stackId) {
-    const captured = ACCOUNT_ID_FROM_STACK_REGEX.exec(stackId);
-    if (!captured || captured.length < 2) {
+/**
+ * Get the partition and account id of the stack, which the principals must belong to.
+ */
+function getStack(stackId) {
+    const stack = parseStackArn(stackId);
+    if (!stack) {
         throw new Error("Could not parse account id from stack ID.");
     }
-    const accountId = captured[1];
-    console.log(`Account id: ${accountId}`);
-    return accountId;
+    console.log(`Partition: ${stack.Partition}, Account id: ${stack.AccountId}`);
+    return stack;
 }
 
 function buildClients(resourceShareRegion) {
@@ -113,114 +867,235 @@ function buildClients(resourceShareRegion) {
     const lakeFormationClient = new LakeFormationClient({
         region: resourceShareRegion
     });
-    return [ramClient, lakeFormationClient];
+    const glueClient = new GlueClient({
+        region: resourceShareRegion
+    });
+    return [ramClient, lakeFormationClient, glueClient];
+}
+
+/**
+ * Get the name of the permission record parameter, scoped under the optional ParameterNamespace property
+ * so that several stacks can keep their own record in the same account.
+ */
+function getPermissionRecordParameterName(event) {
+    const namespace = parseParameterNamespace(event.ResourceProperties.ParameterNamespace);
+    return scopeParameterName(PERMISSION_RECORD_PARAMETER.Name, namespace);
 }
 
-function validatePrincipals(principals, accountId) {
+/**
+ * The permission record is kept in the lambda region, whatever the regions of the resource shares.
+ */
+function buildSsmClient() {
+    return new SSMClient({
+        region: process.env.AWS_REGION
+    });
+}
+
+/**
+ * Get the principals of principals which are added to the DataLake admins: Lake Formation only accepts IAM users and
+ * roles of its own account as admins, so Identity Center, SAML and external principals are only granted permissions.
+ */
+function getDataLakeAdminPrincipals(event, principals) {
+    const stack = getStack(event.StackId);
+    const allowedExternalAccountIds = getAllowedExternalAccountIds(event, stack);
+    return principals.filter(principal => getPrincipalType(principal, stack, allowedExternalAccountIds) === PRINCIPAL_TYPES.IAM);
+}
+
+/**
+ * Parse the optional AllowedExternalAccountIds property, a list or comma-separated string of the account ids whose
+ * principals may be granted permissions.
+ */
+function getAllowedExternalAccountIds(event, stack) {
+    const value = event.ResourceProperties.AllowedExternalAccountIds ?? [];
+    const accountIds = (Array.isArray(value) ? value : `${value}`.split(","))
+        .map(accountId => `${accountId}`.trim())
+        .filter(accountId => accountId !== "");
+    for (const accountId of accountIds) {
+        if (!isValidAccountId(accountId)) {
+            throw new Error(`Invalid account id in AllowedExternalAccountIds: ${accountId}.`);
+        }
+        if (accountId === stack.AccountId) {
+            throw new Error(`AllowedExternalAccountIds contains the stack account ${accountId}, its principals are allowed already.`);
+        }
+    }
+    return [...new Set(accountIds)];
+}
+
+function validatePrincipals(principals, stack, allowedExternalAccountIds) {
     if (!Array.isArray(principals)) {
         throw new Error("LakeFormationPrincipals is not an array.");
     }
+    console.log("Validating LakeFormationPrincipals...");
     for (const principal of principals) {
-        validateIAMPrincipal(principal, accountId);
+        getPrincipalType(principal, stack, allowedExternalAccountIds);
     }
 }
 
-function validateIAMPrincipal(principal, accountId) {
-    console.log("Validating LakeFormationPrincipals...");
-    const iamPrincipalRegex = new RegExp(`arn:aws[-\w]{0,10}?:iam::${accountId}:.+`);
-    if(!iamPrincipalRegex.test(principal)) {
-        throw new Error(`Invalid IAM principal, or IAM principal does not belong to account ${accountId}.`);
+/**
+ * Get the type of principal, one of PRINCIPAL_TYPES. Throws error with the rules of its type if principal is invalid.
+ */
+function getPrincipalType(principal, stack, allowedExternalAccountIds) {
+    if (typeof principal !== "string") {
+        throw new Error(`Invalid principal ${JSON.stringify(principal)}, expected an arn or an account id.`);
+    }
+    if (isValidAccountId(principal)) {
+        if (!allowedExternalAccountIds.includes(principal)) {
+            throw new Error(`Account ${principal} is not in AllowedExternalAccountIds, add it there to grant it permissions.`);
+        }
+        return PRINCIPAL_TYPES.EXTERNAL_ACCOUNT;
+    }
+    const parsed = parseArn(principal);
+    if (parsed?.Service === "identitystore") {
+        if (parsed.Partition !== stack.Partition || parsed.Region !== "" || parsed.AccountId !== ""
+            || !IDENTITY_CENTER_RESOURCE_REGEX.test(parsed.Resource)) {
+            throw new Error(`Invalid Identity Center principal ${principal}, expected arn:${stack.Partition}:identitystore:::user/<user id> or arn:${stack.Partition}:identitystore:::group/<group id>.`);
+        }
+        return PRINCIPAL_TYPES.IDENTITY_CENTER;
+    }
+    if (parsed?.Service === "iam" && parsed.Resource.startsWith("saml-provider/")) {
+        if (parsed.Partition !== stack.Partition || parsed.AccountId !== stack.AccountId || !SAML_RESOURCE_REGEX.test(parsed.Resource)) {
+            throw new Error(`Invalid SAML principal ${principal}, expected arn:${stack.Partition}:iam::${stack.AccountId}:saml-provider/<provider>:user/<user> or :group/<group>.`);
+        }
+        return PRINCIPAL_TYPES.SAML;
+    }
+    if (isIamPrincipalArn(principal, stack.Partition, stack.AccountId)) {
+        return PRINCIPAL_TYPES.IAM;
+    }
+    if (parsed?.Service === "iam" && parsed.Region === "" && parsed.Partition === stack.Partition
+        && allowedExternalAccountIds.includes(parsed.AccountId)) {
+        return PRINCIPAL_TYPES.EXTERNAL_IAM;
     }
+    throw new Error(`Invalid IAM principal, or IAM principal does not belong to account ${stack.AccountId} in partition ${stack.Partition}. Principals of another account need it in AllowedExternalAccountIds.`);
 }
 
-/**
- * Get database shared in this resource share arn.
- * Throws error if no database is found.
- */
-async function getDatabaseName(ramClient, resourceShareArn) {
-    const databaseArn = await getDatabaseNameArn(ramClient, resourceShareArn);
-    const captured = DATABASE_NAME_CAPTURE_REGEX.exec(databaseArn);
-    if (!captured || captured.length < 2) {
-        throw new Error("Could not parse database from database arn.");
+function getMaxListPages(event) {
+    const maxListPages = event.ResourceProperties.MaxListPages ?? DEFAULT_MAX_LIST_PAGES;
+    const parsed = Number(maxListPages);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new Error(`Invalid MaxListPages: ${maxListPages}.`);
     }
-    const databaseName = captured[1];
-    console.log(`Database name: ${databaseName}`);
-    return databaseName;
+    return parsed;
 }
 
-async function getDatabaseNameArn(ramClient, resourceShareArn) {
-    const response = await ramClient.send(new ListResourcesCommand({
-        resourceOwner: "OTHER-ACCOUNTS",
-        resourceShareArns: [resourceShareArn],
-        resourceType: "glue:database"
-    }))
-    if (response.resources.length === 0) {
-        throw new Error("Found no database associated with resource share ARN.")
+/**
+ * Get the LF-Tag keys of the LFTag PermissionMode, or undefined in the default NamedResource mode.
+ */
+function getLFTagMode(event) {
+    const permissionMode = event.ResourceProperties.PermissionMode || NAMED_RESOURCE_PERMISSION_MODE;
+    if (permissionMode === NAMED_RESOURCE_PERMISSION_MODE) {
+        return undefined;
+    }
+    if (permissionMode !== LF_TAG_PERMISSION_MODE) {
+        throw new Error(`Invalid PermissionMode: ${permissionMode}, expected ${NAMED_RESOURCE_PERMISSION_MODE} or ${LF_TAG_PERMISSION_MODE}.`);
+    }
+    const tagKey = event.ResourceProperties.LFTagKey || DEFAULT_LF_TAG_KEY;
+    if (!LF_TAG_KEY_REGEX.test(tagKey)) {
+        throw new Error(`Invalid LFTagKey: ${tagKey}.`);
     }
-    return response.resources[0].arn;
+    console.log(`Granting through LF-Tag ${tagKey}.`);
+    return { DatabaseTagKey: tagKey, SourceTagKey: tagKey + SOURCE_LF_TAG_KEY_SUFFIX };
 }
 
 /**
- * Set Lake Formation DataLakeSettings.
+ * Get the Security Lake admin account and the database name from the arn of the shared database.
  */
-async function setLakeFormationDataLakeSettings(lakeFormationClient, dataLakeSettings) {
-    const input = { // PutDataLakeSettingsRequest
-        DataLakeSettings: dataLakeSettings,
-    };
-    const command = new PutDataLakeSettingsCommand(input);
-    await lakeFormationClient.send(command);
+function getDatabaseArnParts(databaseArn) {
+    const parsed = parseGlueDatabaseArn(databaseArn);
+    if (!parsed) {
+        throw new Error("Could not parse database from database arn.");
+    }
+    const { AccountId: securityLakeAdminAccount, DatabaseName: databaseName } = parsed;
+    console.log(`Security Lake admin account: ${securityLakeAdminAccount}, Database name: ${databaseName}`);
+    return [securityLakeAdminAccount, databaseName];
 }
 
 /**
- * Given existingDataLakeSettings, build a new dataLakeSettings containing iamPrincipals and return it.
+ * Get the arn of the database shared in this resource share arn. If the share contains several databases,
+ * the Security Lake database of region is used.
  */
-function buildDataLakeSettings(existingDataLakeSettings, iamPrincipals) {
-    const newDatalakeAdmins = buildDataLakeAdmins(existingDataLakeSettings.DataLakeAdmins, iamPrincipals);
-    return {
-        ...existingDataLakeSettings,
-        DataLakeAdmins: newDatalakeAdmins
-    };
+async function getDatabaseNameArn(ramClient, resourceShareArn, region, maxListPages) {
+    const resources = await listSharedResources(ramClient, resourceShareArn, "glue:database", maxListPages);
+    if (resources.length === 0) {
+        throw new Error("Found no database associated with resource share ARN.")
+    }
+    if (resources.length === 1) {
+        return resources[0].arn;
+    }
+    const expectedDatabaseName = SECURITY_LAKE_DATABASE_PREFIX + region.replaceAll("-", "_");
+    const databaseArns = resources.map(resource => resource.arn);
+    const matchingArn = databaseArns.find(arn => parseGlueDatabaseArn(arn)?.DatabaseName === expectedDatabaseName);
+    if (!matchingArn) {
+        throw new Error(`Found ${databaseArns.length} databases associated with resource share ARN and none of them is ${expectedDatabaseName}: ${JSON.stringify(databaseArns)}.`);
+    }
+    console.log(`Found ${databaseArns.length} databases associated with resource share ARN, using ${matchingArn}.`);
+    return matchingArn;
 }
 
 /**
- * Build a new DataLake admins by adding iamPrincipals into existingDataLakeAdmins.
+ * Get list of table names of databaseName shared in this resource share arn.
+ * Throws error if no table is found.
  */
-function buildDataLakeAdmins(existingDataLakeAdmins, iamPrincipals) {
-    const existingPrincipals = existingDataLakeAdmins.map(admin => admin.DataLakePrincipalIdentifier);
-    const newPrincipals = [...new Set([...existingPrincipals, ...iamPrincipals])];
-    return newPrincipals.map((principal) => {
-        return {
-            DataLakePrincipalIdentifier: principal
-        };
-    });
+async function getTableNames(ramClient, resourceShareArn, databaseName, maxListPages) {
+    const resources = await listSharedResources(ramClient, resourceShareArn, "glue:table", maxListPages);
+    let tableNames = [];
+    for (const resource of resources) {
+        const parsed = parseGlueTableArn(resource.arn);
+        if (!parsed) {
+            throw new Error("Could not parse table name from table arn.");
+        }
+        if (parsed.DatabaseName === databaseName) {
+            tableNames.push(parsed.TableName);
+        }
+    }
+    if (tableNames.length === 0) {
+        throw new Error(`Found no table of database ${databaseName} associated with resource share ARN.`);
+    }
+    console.log(`Table names: ${JSON.stringify(tableNames)}`);
+    return tableNames;
 }
 
-async function getLakeFormationDataLakeSettings(lakeFormationClient) {
-    const command = new GetDataLakeSettingsCommand({});
-    const response = await lakeFormationClient.send(command);
-    return response.DataLakeSettings;
+/**
+ * List every resource of resourceType shared with this account in resourceShareArn, following nextToken.
+ * Throws error if the result does not fit in maxListPages pages.
+ */
+async function listSharedResources(ramClient, resourceShareArn, resourceType, maxListPages) {
+    let resources = [];
+    let nextToken;
+    let pages = 0;
+    do {
+        if (pages >= maxListPages) {
+            throw new Error(`Listing ${resourceType} resources in resource share ARN exceeded ${maxListPages} pages, increase MaxListPages.`);
+        }
+        const response = await ramClient.send(new ListResourcesCommand({
+            resourceOwner: "OTHER-ACCOUNTS",
+            resourceShareArns: [resourceShareArn],
+            resourceType: resourceType,
+            nextToken: nextToken
+        }))
+        resources.push(...response.resources);
+        nextToken = response.nextToken;
+        pages++;
+    } while (nextToken);
+    return resources;
 }
 
 /**
- * Grant lake formation SELECT permission to every table under databaseName.
+ * Get the LF-Tags to assign in LFTag mode: the database tag on databaseName, and the database and source tags on each
+ * shared table with a Security Lake source type. Returns undefined in NamedResource mode.
  */
-async function grantLakeFormationPermission(lakeFormationClient, databaseName, principals) {
-    for (const principal of principals) {
-        const input = { // GrantPermissionsRequest
-            Principal: { // DataLakePrincipal
-                DataLakePrincipalIdentifier: principal,
-            },
-            Resource: { // Resource
-                Table: { // TableResource
-                    DatabaseName: databaseName,
-                    TableWildcard: {},
-                }
-            },
-            Permissions: ["SELECT"]
-        };
-        const command = new GrantPermissionsCommand(input);
-        await lakeFormationClient.send(command);
+async function getLFTagAssignment(lfTagMode, ramClient, resourceShareArn, databaseName, maxListPages) {
+    if (!lfTagMode) {
+        return undefined;
     }
+    const tableNames = await getTableNames(ramClient, resourceShareArn, databaseName, maxListPages);
+    return {
+        ...lfTagMode,
+        DatabaseName: databaseName,
+        TablesWithDatabaseTag: true,
+        Tables: tableNames
+            .map(tableName => ({ TableName: tableName, SourceType: getTableSourceType(tableName) }))
+            .filter(table => table.SourceType)
+    };
 }
 
 async function getCurrentCallerIdentityArn(event) {
@@ -228,58 +1103,3 @@ async function getCurrentCallerIdentityArn(event) {
     console.info(`Current caller: ${currentCallerIdentityArn}`);
     return currentCallerIdentityArn;
 }
-
-// Send response to the pre-signed S3 URL
-async function sendResponse(event, context, responseStatus, reason) {
-    return new Promise((resolve, reject) => {
-        const responseBody = JSON.stringify({
-            Status: responseStatus,
-            Reason: composeReason(context, reason),
-            PhysicalResourceId: context.logStreamName,
-            StackId: event.StackId,
-            RequestId: event.RequestId,
-            LogicalResourceId: event.LogicalResourceId,
-            Data: {}
-        });
-
-        console.log("RESPONSE BODY:\n", responseBody);
-
-        const parsedUrl = url.parse(event.ResponseURL);
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: 443,
-            path: parsedUrl.path,
-            method: "PUT",
-            headers: {
-                "content-type": "",
-                "content-length": responseBody.length
-            }
-        };
-
-        console.log("SENDING RESPONSE...\n");
-
-        const request = https.request(options, function (response) {
-            // Tell AWS Lambda that the function execution is done
-            context.done();
-            resolve();
-        });
-
-        request.on("error", function (error) {
-            console.error("sendResponse Error:" + error);
-            // Tell AWS Lambda that the function execution is done
-            context.done();
-            resolve();
-        });
-
-        // write data to request body
-        request.write(responseBody);
-        request.end();
-    });
-}
-
-function composeReason(context, reason) {
-    const region = process.env.AWS_REGION;
-    const cwLogUrl = `https://console.aws.amazon.com/cloudwatch/home?region=${region}#logEventViewer:group=${context.logGroupName};stream=${context.logStreamName}`;
-    const cwLogStreamMessage = `See the details in CloudWatch Log Stream: ${cwLogUrl}`;
-    return reason ? `${reason} ${cwLogStreamMessage}` : `${cwLogStreamMessage}`;
-}
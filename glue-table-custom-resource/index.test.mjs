@@ -0,0 +1,80 @@
+'use strict';
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { RAMClient } from "@aws-sdk/client-ram";
+import { GlueClient } from "@aws-sdk/client-glue";
+import { LakeFormationClient } from "@aws-sdk/client-lakeformation";
+import { SSMClient, ParameterNotFound } from "@aws-sdk/client-ssm";
+import { handler } from "./index.mjs";
+import { context, mockClientCommands, mockCloudFormationResponses } from "./common/test-support.mjs";
+
+process.env.AWS_REGION = "us-east-1";
+
+const DATABASE_ARN = "arn:aws:glue:us-east-1:111111111111:database/amazon_security_lake_glue_db_us_east_1";
+const LAMBDA_ROLE_ARN = "arn:aws:iam::222222222222:role/lambda";
+const PRINCIPAL = "arn:aws:iam::222222222222:role/analyst";
+const properties = {
+    ResourceShareArn: "arn:aws:ram:us-east-1:111111111111:resource-share/a",
+    LambdaRoleArn: LAMBDA_ROLE_ARN,
+    LakeFormationPrincipals: [PRINCIPAL],
+    DryRun: "true"
+};
+const request = {
+    StackId: "arn:aws:cloudformation:us-east-1:222222222222:stack/stack/1",
+    RequestId: "request",
+    LogicalResourceId: "GlueTables",
+    ResponseURL: "https://example.com/response"
+};
+
+afterEach(() => mock.restoreAll());
+
+test("a real update of a dry run creation grants the permissions", async () => {
+    const responses = mockCloudFormationResponses();
+    const parameters = new Map();
+    let dataLakeAdmins = [];
+    const calls = mockClientCommands([RAMClient, GlueClient, LakeFormationClient, SSMClient], {
+        ListResourcesCommand: input => input.resourceType === "glue:table"
+            ? { resources: [{ arn: `${DATABASE_ARN.replace(":database/", ":table/")}/amazon_security_lake_table_us_east_1_vpc_flow_2_0` }] }
+            : { resources: [{ arn: DATABASE_ARN }] },
+        GetDataLakeSettingsCommand: () => ({
+            DataLakeSettings: { DataLakeAdmins: dataLakeAdmins.map(admin => ({ DataLakePrincipalIdentifier: admin })) }
+        }),
+        PutDataLakeSettingsCommand: input => {
+            dataLakeAdmins = input.DataLakeSettings.DataLakeAdmins.map(admin => admin.DataLakePrincipalIdentifier);
+            return {};
+        },
+        BatchGrantPermissionsCommand: () => ({ Failures: [] }),
+        GetParameterCommand: input => {
+            if (!parameters.has(input.Name)) {
+                throw new ParameterNotFound({ message: "Parameter not found.", $metadata: {} });
+            }
+            return { Parameter: { Name: input.Name, Value: parameters.get(input.Name) } };
+        },
+        PutParameterCommand: input => {
+            parameters.set(input.Name, input.Value);
+            return {};
+        }
+    });
+
+    await handler({ ...request, RequestType: "Create", ResourceProperties: properties }, context);
+    const [dryRunResponse] = responses;
+    assert.equal(dryRunResponse.Status, "SUCCESS");
+    assert.match(dryRunResponse.PhysicalResourceId, /^DryRun-/);
+    assert.ok(!calls.some(([name]) => name === "BatchGrantPermissionsCommand" || name === "PutParameterCommand"));
+
+    await handler({
+        ...request,
+        RequestType: "Update",
+        PhysicalResourceId: dryRunResponse.PhysicalResourceId,
+        ResourceProperties: { ...properties, DryRun: "false" },
+        OldResourceProperties: properties
+    }, context);
+    const [, realResponse] = responses;
+    assert.equal(realResponse.Status, "SUCCESS");
+    assert.doesNotMatch(realResponse.PhysicalResourceId, /^DryRun-/);
+    const grantedPrincipals = calls.filter(([name]) => name === "BatchGrantPermissionsCommand")
+        .flatMap(([, input]) => input.Entries.map(entry => entry.Principal.DataLakePrincipalIdentifier));
+    assert.ok(grantedPrincipals.length > 0 && grantedPrincipals.every(principal => principal === PRINCIPAL));
+    assert.deepEqual(dataLakeAdmins, [PRINCIPAL]);
+    assert.ok(parameters.has("/Detective/SLI/LakeFormationPermissions"));
+});
@@ -0,0 +1,561 @@
+'use strict';
+/**
+ * Lake Formation grants, revocations, data cells filters and LF-Tags of the GlueTables lambda.
+ **/
+import {
+    BatchGrantPermissionsCommand,
+    BatchRevokePermissionsCommand,
+    ListPermissionsCommand,
+    GetLFTagCommand,
+    CreateLFTagCommand,
+    UpdateLFTagCommand,
+    AddLFTagsToResourceCommand,
+    RemoveLFTagsFromResourceCommand,
+    CreateDataCellsFilterCommand,
+    DeleteDataCellsFilterCommand,
+    AlreadyExistsException,
+    EntityNotFoundException
+} from "@aws-sdk/client-lakeformation";
+import {
+    LF_TAG_DATABASE_VALUE,
+    GRANT_BATCH_SIZE,
+    GRANT_BATCH_CONCURRENCY,
+    MAX_GRANT_ATTEMPTS,
+    GRANT_RETRY_DELAY_MILLIS,
+    RETRYABLE_GRANT_ERROR_CODES,
+    NOT_HELD_REVOKE_ERROR_MESSAGE
+} from "./constant.mjs";
+
+/**
+ * Revoke the grants and re-grant the revocations recorded in progress, in batches per database. The data cells filters
+ * created for grants which were never granted are deleted, the revocations delete the others.
+ */
+export async function rollbackPermissionChanges(lakeFormationClient, progress) {
+    for (const [databaseName, grants] of groupGrantsByDatabase(progress.granted)) {
+        await revokeLakeFormationPermission(lakeFormationClient, databaseName, grants);
+    }
+    const grantedFilterKeys = new Set(progress.granted.filter(grant => grant.DataCellsFilter).map(buildDataCellsFilterKey));
+    for (const grant of progress.createdFilters.filter(grant => !grantedFilterKeys.has(buildDataCellsFilterKey(grant)))) {
+        await deleteDataCellsFilter(lakeFormationClient, grant.DatabaseName, grant);
+    }
+    for (const [databaseName, grants] of groupGrantsByDatabase(progress.revoked)) {
+        await grantLakeFormationPermission(lakeFormationClient, databaseName, grants);
+    }
+}
+
+function buildDataCellsFilterKey(grant) {
+    return JSON.stringify([grant.DatabaseName, grant.TableName, grant.DataCellsFilter.Name]);
+}
+
+/**
+ * Group grants recorded in progress by their DatabaseName.
+ */
+function groupGrantsByDatabase(grants) {
+    let grantsByDatabase = new Map();
+    for (const grant of grants) {
+        grantsByDatabase.set(grant.DatabaseName, [...grantsByDatabase.get(grant.DatabaseName) ?? [], grant]);
+    }
+    return grantsByDatabase;
+}
+
+/**
+ * Return the grants whose permissions Lake Formation does not hold, read with ListPermissions for each principal.
+ */
+export async function getMissingLakeFormationGrants(lakeFormationClient, databaseName, grants, maxListPages) {
+    let heldPermissions = new Map();
+    for (const principal of new Set(grants.map(grant => grant.Principal))) {
+        for (const permission of await listPrincipalPermissions(lakeFormationClient, principal, maxListPages)) {
+            const key = JSON.stringify([principal, buildResourceKey(permission.Resource)]);
+            const held = heldPermissions.get(key) ?? { Permissions: new Set(), PermissionsWithGrantOption: new Set() };
+            (permission.Permissions ?? []).forEach(name => held.Permissions.add(name));
+            (permission.PermissionsWithGrantOption ?? []).forEach(name => held.PermissionsWithGrantOption.add(name));
+            heldPermissions.set(key, held);
+        }
+    }
+    return grants.filter(grant => {
+        const held = heldPermissions.get(JSON.stringify([grant.Principal, buildResourceKey(buildGrantResource(databaseName, grant))]));
+        return !held
+            || !(grant.Permissions ?? ["SELECT"]).every(name => held.Permissions.has(name) || held.Permissions.has("ALL"))
+            || !(grant.PermissionsWithGrantOption ?? []).every(name => held.PermissionsWithGrantOption.has(name) || held.PermissionsWithGrantOption.has("ALL"));
+    });
+}
+
+/**
+ * List every permission of principal, following NextToken.
+ * Throws error if the result does not fit in maxListPages pages.
+ */
+async function listPrincipalPermissions(lakeFormationClient, principal, maxListPages) {
+    let permissions = [];
+    let nextToken;
+    let pages = 0;
+    do {
+        if (pages >= maxListPages) {
+            throw new Error(`Listing LakeFormation permissions of ${principal} exceeded ${maxListPages} pages, increase MaxListPages.`);
+        }
+        const response = await lakeFormationClient.send(new ListPermissionsCommand({
+            Principal: { // DataLakePrincipal
+                DataLakePrincipalIdentifier: principal,
+            },
+            NextToken: nextToken
+        }));
+        permissions.push(...(response.PrincipalResourcePermissions ?? []));
+        nextToken = response.NextToken;
+        pages++;
+    } while (nextToken);
+    return permissions;
+}
+
+/**
+ * Build a key of resource which is the same for a grant and for its ListPermissions result: catalog ids are left out,
+ * lists and properties are sorted, and a TableWithColumns resource on every column is a Table resource.
+ */
+function buildResourceKey(resource) {
+    const tableWithColumns = resource.TableWithColumns;
+    if (tableWithColumns?.ColumnWildcard && !(tableWithColumns.ColumnWildcard.ExcludedColumnNames?.length > 0)) {
+        resource = buildTableResource(tableWithColumns.DatabaseName, tableWithColumns.Name);
+    }
+    return JSON.stringify(resource, (key, value) => {
+        if (key === "CatalogId" || key === "TableCatalogId") {
+            return undefined;
+        }
+        if (Array.isArray(value)) {
+            return [...value].sort((first, second) => JSON.stringify(first).localeCompare(JSON.stringify(second)));
+        }
+        if (value && typeof value === "object") {
+            return Object.fromEntries(Object.entries(value).sort(([first], [second]) => first.localeCompare(second)));
+        }
+        return value;
+    });
+}
+
+/**
+ * Grant grants in chunks of GRANT_BATCH_SIZE, GRANT_BATCH_CONCURRENCY at a time, after creating their data cells filters.
+ * Records the changes in progress until its signal is aborted. Throws error listing every failed grant.
+ */
+export async function grantLakeFormationPermission(lakeFormationClient, databaseName, grants, progress) {
+    for (const grant of grants.filter(grant => grant.DataCellsFilter)) {
+        progress?.signal.throwIfAborted();
+        if (await createDataCellsFilter(lakeFormationClient, databaseName, grant)) {
+            progress?.createdFilters.push({ ...grant, DatabaseName: databaseName });
+        }
+    }
+    let chunks = [];
+    for (let index = 0; index < grants.length; index += GRANT_BATCH_SIZE) {
+        chunks.push(grants.slice(index, index + GRANT_BATCH_SIZE));
+    }
+    let failures = [];
+    let stopped = false;
+    const sendChunks = async () => {
+        while (!stopped && chunks.length > 0) {
+            try {
+                failures.push(...await batchGrantLakeFormationPermission(lakeFormationClient, databaseName, chunks.shift(), progress));
+            } catch (error) {
+                stopped = true;
+                throw error;
+            }
+        }
+    };
+    // Settle every chunk in flight before throwing, so that their grants are recorded in progress for the rollback.
+    const results = await Promise.allSettled(Array.from({ length: Math.min(GRANT_BATCH_CONCURRENCY, chunks.length) }, sendChunks));
+    const rejected = results.find(result => result.status === "rejected");
+    if (rejected) {
+        throw rejected.reason;
+    }
+    if (failures.length > 0) {
+        throw new Error(`Could not grant ${failures.length} of ${grants.length} LakeFormation permissions: ${failures
+            .map(failure => `${describeGrant(databaseName, failure.grant)} (${failure.error})`).join("; ")}.`);
+    }
+}
+
+/**
+ * Grant one chunk in a BatchGrantPermissions call, retrying RETRYABLE_GRANT_ERROR_CODES up to MAX_GRANT_ATTEMPTS times.
+ * Returns the {grant, error} of every entry which still failed.
+ */
+async function batchGrantLakeFormationPermission(lakeFormationClient, databaseName, grants, progress) {
+    let pendingGrants = grants;
+    let failures = [];
+    for (let attempt = 1; pendingGrants.length > 0; attempt++) {
+        progress?.signal.throwIfAborted();
+        const input = { // BatchGrantPermissionsRequest
+            Entries: pendingGrants.map((grant, index) => ({ // BatchPermissionsRequestEntry
+                Id: `${index}`,
+                Principal: { // DataLakePrincipal
+                    DataLakePrincipalIdentifier: grant.Principal,
+                },
+                Resource: buildGrantResource(databaseName, grant),
+                Permissions: grant.Permissions ?? ["SELECT"],
+                PermissionsWithGrantOption: grant.PermissionsWithGrantOption
+            }))
+        };
+        let response;
+        try {
+            response = await lakeFormationClient.send(new BatchGrantPermissionsCommand(input), { abortSignal: progress?.signal });
+        } catch (error) {
+            // An aborted request may still have been applied, record it so that it is rolled back.
+            if (progress?.signal.aborted) {
+                progress.granted.push(...pendingGrants.map(grant => ({ ...grant, DatabaseName: databaseName })));
+                throw error;
+            }
+            if (RETRYABLE_GRANT_ERROR_CODES.includes(error.name) && attempt < MAX_GRANT_ATTEMPTS) {
+                console.warn(`Granting LakeFormation permissions was throttled (attempt ${attempt}), retrying: ${error}`);
+                await waitBeforeGrantRetry(attempt);
+                continue;
+            }
+            return [...failures, ...pendingGrants.map(grant => ({ grant: grant, error: `${error.name}: ${error.message}` }))];
+        }
+        const entryErrors = new Map((response.Failures ?? []).map(failure => [failure.RequestEntry?.Id, failure.Error ?? {}]));
+        let retryGrants = [];
+        pendingGrants.forEach((grant, index) => {
+            const entryError = entryErrors.get(`${index}`);
+            if (!entryError) {
+                progress?.granted.push({ ...grant, DatabaseName: databaseName });
+            } else if (RETRYABLE_GRANT_ERROR_CODES.includes(entryError.ErrorCode) && attempt < MAX_GRANT_ATTEMPTS) {
+                retryGrants.push(grant);
+            } else {
+                failures.push({ grant: grant, error: `${entryError.ErrorCode}: ${entryError.ErrorMessage}` });
+            }
+        });
+        pendingGrants = retryGrants;
+        if (pendingGrants.length > 0) {
+            console.warn(`Granting ${pendingGrants.length} LakeFormation permissions failed (attempt ${attempt}), retrying...`);
+            await waitBeforeGrantRetry(attempt);
+        }
+    }
+    return failures;
+}
+
+async function waitBeforeGrantRetry(attempt) {
+    // Random delay so that the batches in flight do not retry all at once.
+    await new Promise(resolve => setTimeout(resolve, GRANT_RETRY_DELAY_MILLIS * 2 ** (attempt - 1) * (0.5 + Math.random())));
+}
+
+/**
+ * Describe grant for error messages, ex: arn:aws:iam::123456789012:role/Analyst on amazon_security_lake_glue_db_us_east_1.<table>.
+ */
+function describeGrant(databaseName, grant) {
+    if (grant.ResourceLink) {
+        return `${grant.Principal} on resource link ${databaseName}`;
+    }
+    if (grant.LFTagExpression) {
+        const expression = grant.LFTagExpression.map(lfTag => `${lfTag.TagKey}=${lfTag.TagValues.join("|")}`).join(",");
+        return `${grant.Principal} on LF-Tag expression ${expression}`;
+    }
+    if (grant.DataCellsFilter) {
+        return `${grant.Principal} on ${databaseName}.${grant.TableName} through data cells filter ${grant.DataCellsFilter.Name}`;
+    }
+    return grant.TableName
+        ? `${grant.Principal} on ${databaseName}.${grant.TableName}`
+        : `${grant.Principal} on every table of ${databaseName}`;
+}
+
+/**
+ * Revoke grants in chunks of GRANT_BATCH_SIZE and delete their data cells filters, skipping those no longer held.
+ * Records the changes in progress until its signal is aborted. Throws error listing every failed grant.
+ */
+export async function revokeLakeFormationPermission(lakeFormationClient, databaseName, grants, progress) {
+    let failures = [];
+    for (let index = 0; index < grants.length; index += GRANT_BATCH_SIZE) {
+        failures.push(...await batchRevokeLakeFormationPermission(lakeFormationClient, databaseName,
+            grants.slice(index, index + GRANT_BATCH_SIZE), progress));
+    }
+    if (failures.length > 0) {
+        throw new Error(`Could not revoke ${failures.length} of ${grants.length} LakeFormation permissions: ${failures
+            .map(failure => `${describeGrant(databaseName, failure.grant)} (${failure.error})`).join("; ")}.`);
+    }
+}
+
+/**
+ * Revoke one chunk in a BatchRevokePermissions call, retried as in batchGrantLakeFormationPermission.
+ * Returns the {grant, error} of every entry which still failed.
+ */
+async function batchRevokeLakeFormationPermission(lakeFormationClient, databaseName, grants, progress) {
+    let pendingGrants = grants;
+    let failures = [];
+    for (let attempt = 1; pendingGrants.length > 0; attempt++) {
+        progress?.signal.throwIfAborted();
+        const input = { // BatchRevokePermissionsRequest
+            Entries: pendingGrants.map((grant, index) => ({ // BatchPermissionsRequestEntry
+                Id: `${index}`,
+                Principal: { // DataLakePrincipal
+                    DataLakePrincipalIdentifier: grant.Principal,
+                },
+                Resource: buildGrantResource(databaseName, grant),
+                Permissions: grant.Permissions ?? ["SELECT"],
+                PermissionsWithGrantOption: grant.PermissionsWithGrantOption
+            }))
+        };
+        let entryErrors;
+        try {
+            const response = await lakeFormationClient.send(new BatchRevokePermissionsCommand(input), { abortSignal: progress?.signal });
+            entryErrors = new Map((response.Failures ?? []).map(failure => [failure.RequestEntry?.Id, failure.Error ?? {}]));
+        } catch (error) {
+            // An aborted request may still have been applied, record it so that it is rolled back.
+            if (progress?.signal.aborted) {
+                progress.revoked.push(...pendingGrants.map(grant => ({ ...grant, DatabaseName: databaseName })));
+                throw error;
+            }
+            if (RETRYABLE_GRANT_ERROR_CODES.includes(error.name) && attempt < MAX_GRANT_ATTEMPTS) {
+                console.warn(`Revoking LakeFormation permissions was throttled (attempt ${attempt}), retrying: ${error}`);
+                await waitBeforeGrantRetry(attempt);
+                continue;
+            }
+            // A failed request fails each of its entries, skipped as they would be when the database no longer exists.
+            entryErrors = new Map(pendingGrants.map((grant, index) => [`${index}`, { ErrorCode: error.name, ErrorMessage: error.message }]));
+        }
+        let retryGrants = [];
+        for (const [index, grant] of pendingGrants.entries()) {
+            const entryError = entryErrors.get(`${index}`);
+            if (!entryError) {
+                progress?.revoked.push({ ...grant, DatabaseName: databaseName });
+            } else if (RETRYABLE_GRANT_ERROR_CODES.includes(entryError.ErrorCode) && attempt < MAX_GRANT_ATTEMPTS) {
+                retryGrants.push(grant);
+                continue;
+            } else if (entryError.ErrorCode === "EntityNotFoundException"
+                || (entryError.ErrorCode === "InvalidInputException" && entryError.ErrorMessage?.includes(NOT_HELD_REVOKE_ERROR_MESSAGE))) {
+                console.warn(`Could not revoke permission from ${grant.Principal}, skipping: ${entryError.ErrorMessage}`);
+            } else {
+                failures.push({ grant: grant, error: `${entryError.ErrorCode}: ${entryError.ErrorMessage}` });
+                continue;
+            }
+            if (grant.DataCellsFilter) {
+                await deleteDataCellsFilter(lakeFormationClient, databaseName, grant);
+            }
+        }
+        pendingGrants = retryGrants;
+        if (pendingGrants.length > 0) {
+            console.warn(`Revoking ${pendingGrants.length} LakeFormation permissions failed (attempt ${attempt}), retrying...`);
+            await waitBeforeGrantRetry(attempt);
+        }
+    }
+    return failures;
+}
+
+/**
+ * Create the data cells filter of grant on its table. A filter which already exists is kept, its name is derived from
+ * its definition. Returns whether the filter was created.
+ */
+async function createDataCellsFilter(lakeFormationClient, databaseName, grant) {
+    const { TableCatalogId, Name, FilterExpression, ColumnNames, ExcludedColumnNames } = grant.DataCellsFilter;
+    const input = { // CreateDataCellsFilterRequest
+        TableData: { // DataCellsFilter
+            TableCatalogId: TableCatalogId,
+            DatabaseName: databaseName,
+            TableName: grant.TableName,
+            Name: Name,
+            RowFilter: { FilterExpression: FilterExpression },
+            ...(ColumnNames
+                ? { ColumnNames: ColumnNames }
+                : { ColumnWildcard: { ExcludedColumnNames: ExcludedColumnNames ?? [] } }),
+        }
+    };
+    try {
+        console.log(`Creating data cells filter ${Name} on ${grant.TableName}...`);
+        await lakeFormationClient.send(new CreateDataCellsFilterCommand(input));
+        return true;
+    } catch (error) {
+        if (!(error instanceof AlreadyExistsException)) {
+            throw error;
+        }
+        console.log(`Data cells filter ${Name} on ${grant.TableName} already exists.`);
+        return false;
+    }
+}
+
+async function deleteDataCellsFilter(lakeFormationClient, databaseName, grant) {
+    const input = { // DeleteDataCellsFilterRequest
+        TableCatalogId: grant.DataCellsFilter.TableCatalogId,
+        DatabaseName: databaseName,
+        TableName: grant.TableName,
+        Name: grant.DataCellsFilter.Name,
+    };
+    try {
+        console.log(`Deleting data cells filter ${grant.DataCellsFilter.Name} on ${grant.TableName}...`);
+        await lakeFormationClient.send(new DeleteDataCellsFilterCommand(input));
+    } catch (error) {
+        if (!(error instanceof EntityNotFoundException)) {
+            throw error;
+        }
+        console.warn(`Data cells filter ${grant.DataCellsFilter.Name} on ${grant.TableName} no longer exists, skipping.`);
+    }
+}
+
+/**
+ * Build the resource of grant: the resource-link database databaseName for a ResourceLink grant, its LF-Tag policy in LFTag
+ * mode, its data cells filter or columns with an access policy, otherwise grant.TableName or every table of databaseName.
+ */
+function buildGrantResource(databaseName, grant) {
+    if (grant.ResourceLink) {
+        return grant.LFTagExpression
+            ? { LFTagPolicy: { ResourceType: "DATABASE", Expression: grant.LFTagExpression } }
+            : { Database: { Name: databaseName } };
+    }
+    if (grant.DataCellsFilter) {
+        return { // Resource
+            DataCellsFilter: { // DataCellsFilterResource
+                TableCatalogId: grant.DataCellsFilter.TableCatalogId,
+                DatabaseName: databaseName,
+                TableName: grant.TableName,
+                Name: grant.DataCellsFilter.Name,
+            }
+        };
+    }
+    if (grant.ColumnNames || grant.ExcludedColumnNames) {
+        return { // Resource
+            TableWithColumns: { // TableWithColumnsResource
+                DatabaseName: databaseName,
+                Name: grant.TableName,
+                ...(grant.ColumnNames
+                    ? { ColumnNames: grant.ColumnNames }
+                    : { ColumnWildcard: { ExcludedColumnNames: grant.ExcludedColumnNames } }),
+            }
+        };
+    }
+    if (grant.LFTagExpression) {
+        return { // Resource
+            LFTagPolicy: { // LFTagPolicyResource
+                ResourceType: "TABLE",
+                Expression: grant.LFTagExpression,
+            }
+        };
+    }
+    return buildTableResource(databaseName, grant.TableName);
+}
+
+function buildTableResource(databaseName, tableName) {
+    if (!tableName) {
+        return { // Resource
+            Table: { // TableResource
+                DatabaseName: databaseName,
+                TableWildcard: {},
+            }
+        };
+    }
+    return { // Resource
+        Table: { // TableResource
+            DatabaseName: databaseName,
+            Name: tableName,
+        }
+    };
+}
+
+/**
+ * Build the LF-Tag expression matching every table of the tagged database, or only its tables of sourceTypes.
+ */
+export function buildLFTagExpression(lfTagMode, sourceTypes) {
+    return [
+        { TagKey: lfTagMode.DatabaseTagKey, TagValues: [LF_TAG_DATABASE_VALUE] },
+        ...(sourceTypes ? [{ TagKey: lfTagMode.SourceTagKey, TagValues: sourceTypes }] : [])
+    ];
+}
+
+/**
+ * Build one AddLFTagsToResource or RemoveLFTagsFromResource input per resource and tag of the lfTags assignment, if any.
+ */
+export function buildLFTagOperations(lfTags) {
+    if (!lfTags) {
+        return [];
+    }
+    return [
+        {
+            Resource: { Database: { Name: lfTags.DatabaseName } },
+            LFTags: [{ TagKey: lfTags.DatabaseTagKey, TagValues: [LF_TAG_DATABASE_VALUE] }]
+        },
+        // Tables of a resource link do not inherit its tags, so each table gets the database tag too. Assignments
+        // recorded by an older version did not tag the tables with it.
+        ...lfTags.Tables.flatMap(table => [
+            {
+                Resource: { Table: { DatabaseName: lfTags.DatabaseName, Name: table.TableName } },
+                LFTags: [{ TagKey: lfTags.SourceTagKey, TagValues: [table.SourceType] }]
+            },
+            ...(lfTags.TablesWithDatabaseTag ? [{
+                Resource: { Table: { DatabaseName: lfTags.DatabaseName, Name: table.TableName } },
+                LFTags: [{ TagKey: lfTags.DatabaseTagKey, TagValues: [LF_TAG_DATABASE_VALUE] }]
+            }] : [])
+        ])
+    ];
+}
+
+/**
+ * Return the LF-Tag operations which are not in otherOperations.
+ */
+export function subtractLFTagOperations(operations, otherOperations) {
+    const otherOperationKeys = new Set(otherOperations.map(operation => JSON.stringify(operation)));
+    return operations.filter(operation => !otherOperationKeys.has(JSON.stringify(operation)));
+}
+
+export function describeLFTagOperation(operation) {
+    const resource = operation.Resource.Table
+        ? `${operation.Resource.Table.DatabaseName}.${operation.Resource.Table.Name}`
+        : operation.Resource.Database.Name;
+    const [lfTag] = operation.LFTags;
+    return `${resource} ${lfTag.TagKey}=${lfTag.TagValues[0]}`;
+}
+
+/**
+ * Remove the LF-Tags of operationsToRemove, then create the LF-Tags of lfTags and assign those of operationsToAdd.
+ * Tags are not rolled back on failure, without grants they give no access.
+ */
+export async function changeLFTags(lakeFormationClient, lfTags, operationsToAdd, operationsToRemove) {
+    for (const operation of operationsToRemove) {
+        console.log(`Removing LF-Tag ${describeLFTagOperation(operation)}...`);
+        await changeResourceLFTags(lakeFormationClient, new RemoveLFTagsFromResourceCommand(operation), true);
+    }
+    if (operationsToAdd.length === 0) {
+        return;
+    }
+    await ensureLFTag(lakeFormationClient, lfTags.DatabaseTagKey, [LF_TAG_DATABASE_VALUE]);
+    await ensureLFTag(lakeFormationClient, lfTags.SourceTagKey, [...new Set(lfTags.Tables.map(table => table.SourceType))]);
+    for (const operation of operationsToAdd) {
+        console.log(`Adding LF-Tag ${describeLFTagOperation(operation)}...`);
+        await changeResourceLFTags(lakeFormationClient, new AddLFTagsToResourceCommand(operation), false);
+    }
+}
+
+/**
+ * Send an AddLFTagsToResource or RemoveLFTagsFromResource command, which reports per tag failures in its response.
+ * With skipMissing, a resource which no longer exists is skipped.
+ */
+async function changeResourceLFTags(lakeFormationClient, command, skipMissing) {
+    let response;
+    try {
+        response = await lakeFormationClient.send(command);
+    } catch (error) {
+        if (skipMissing && error instanceof EntityNotFoundException) {
+            console.warn(`Could not change LF-Tags of a missing resource, skipping: ${error.message}`);
+            return;
+        }
+        throw error;
+    }
+    const failures = (response.Failures ?? [])
+        .filter(failure => !(skipMissing && failure.Error?.ErrorCode === "EntityNotFoundException"));
+    if (failures.length > 0) {
+        throw new Error(`Could not change LF-Tags: ${JSON.stringify(failures)}.`);
+    }
+}
+
+/**
+ * Create the LF-Tag tagKey with tagValues, or add the values it is missing if it already exists.
+ * LF-Tags are kept on Delete since other resources may use them.
+ */
+async function ensureLFTag(lakeFormationClient, tagKey, tagValues) {
+    if (tagValues.length === 0) {
+        return;
+    }
+    let existingTagValues;
+    try {
+        const response = await lakeFormationClient.send(new GetLFTagCommand({ TagKey: tagKey }));
+        existingTagValues = response.TagValues;
+    } catch (error) {
+        if (!(error instanceof EntityNotFoundException)) {
+            throw error;
+        }
+        console.log(`Creating LF-Tag ${tagKey} with values ${JSON.stringify(tagValues)}...`);
+        await lakeFormationClient.send(new CreateLFTagCommand({ TagKey: tagKey, TagValues: tagValues }));
+        return;
+    }
+    const missingTagValues = tagValues.filter(tagValue => !existingTagValues.includes(tagValue));
+    if (missingTagValues.length > 0) {
+        console.log(`Adding values ${JSON.stringify(missingTagValues)} to LF-Tag ${tagKey}...`);
+        await lakeFormationClient.send(new UpdateLFTagCommand({ TagKey: tagKey, TagValuesToAdd: missingTagValues }));
+    }
+}
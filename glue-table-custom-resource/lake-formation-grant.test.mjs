@@ -0,0 +1,161 @@
+'use strict';
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { LakeFormationClient } from "@aws-sdk/client-lakeformation";
+import {
+    grantLakeFormationPermission,
+    revokeLakeFormationPermission,
+    rollbackPermissionChanges
+} from "./lake-formation-grant.mjs";
+import { GRANT_BATCH_SIZE, NOT_HELD_REVOKE_ERROR_MESSAGE } from "./constant.mjs";
+import { mockClientCommands } from "./common/test-support.mjs";
+
+const DATABASE_NAME = "amazon_security_lake_glue_db_us_east_1";
+const PRINCIPAL = "arn:aws:iam::222222222222:role/analyst";
+const lakeFormationClient = new LakeFormationClient({ region: "us-east-1" });
+
+afterEach(() => mock.restoreAll());
+
+function buildTableGrant(index) {
+    return { Principal: PRINCIPAL, TableName: `table_${index}` };
+}
+
+function buildFilterGrant(name) {
+    return {
+        Principal: PRINCIPAL,
+        TableName: "table_0",
+        DataCellsFilter: { TableCatalogId: "111111111111", Name: name, FilterExpression: "region = 'us-east-1'" }
+    };
+}
+
+function buildProgress() {
+    return { signal: new AbortController().signal, granted: [], revoked: [], createdFilters: [] };
+}
+
+/**
+ * Fail the entries of a batch call whose Id is in errorsById, ex: {1: {ErrorCode, ErrorMessage}}.
+ */
+function failEntries(input, errorsById) {
+    return {
+        Failures: input.Entries
+            .filter(entry => errorsById[entry.Id])
+            .map(entry => ({ RequestEntry: entry, Error: errorsById[entry.Id] }))
+    };
+}
+
+test("grantLakeFormationPermission grants in chunks of GRANT_BATCH_SIZE and records each grant", async () => {
+    const calls = mockClientCommands([LakeFormationClient], { BatchGrantPermissionsCommand: () => ({ Failures: [] }) });
+    const grants = Array.from({ length: 2 * GRANT_BATCH_SIZE + 5 }, (_, index) => buildTableGrant(index));
+    const progress = buildProgress();
+    await grantLakeFormationPermission(lakeFormationClient, DATABASE_NAME, grants, progress);
+    assert.deepEqual(calls.map(([, input]) => input.Entries.length).sort((a, b) => a - b), [5, GRANT_BATCH_SIZE, GRANT_BATCH_SIZE]);
+    assert.equal(progress.granted.length, grants.length);
+    assert.ok(progress.granted.every(grant => grant.DatabaseName === DATABASE_NAME));
+    assert.deepEqual(calls[0][1].Entries[0], {
+        Id: "0",
+        Principal: { DataLakePrincipalIdentifier: PRINCIPAL },
+        Resource: { Table: { DatabaseName: DATABASE_NAME, Name: "table_0" } },
+        Permissions: ["SELECT"],
+        PermissionsWithGrantOption: undefined
+    });
+});
+
+test("grantLakeFormationPermission retries throttled entries", async () => {
+    let attempt = 0;
+    const calls = mockClientCommands([LakeFormationClient], {
+        BatchGrantPermissionsCommand: input => attempt++ === 0
+            ? failEntries(input, { 0: { ErrorCode: "ThrottlingException", ErrorMessage: "Rate exceeded." } })
+            : { Failures: [] }
+    });
+    const progress = buildProgress();
+    await grantLakeFormationPermission(lakeFormationClient, DATABASE_NAME, [buildTableGrant(0), buildTableGrant(1)], progress);
+    assert.deepEqual(calls.map(([, input]) => input.Entries.map(entry => entry.Resource.Table.Name)), [["table_0", "table_1"], ["table_0"]]);
+    assert.deepEqual(progress.granted.map(grant => grant.TableName).sort(), ["table_0", "table_1"]);
+});
+
+test("grantLakeFormationPermission names each grant which failed", async () => {
+    mockClientCommands([LakeFormationClient], {
+        BatchGrantPermissionsCommand: input => failEntries(input, { 1: { ErrorCode: "InvalidInputException", ErrorMessage: "Table not found." } })
+    });
+    const progress = buildProgress();
+    const grants = [buildTableGrant(0), buildTableGrant(1), buildTableGrant(2)];
+    await assert.rejects(grantLakeFormationPermission(lakeFormationClient, DATABASE_NAME, grants, progress), {
+        message: `Could not grant 1 of 3 LakeFormation permissions: ${PRINCIPAL} on ${DATABASE_NAME}.table_1 (InvalidInputException: Table not found.).`
+    });
+    assert.deepEqual(progress.granted.map(grant => grant.TableName), ["table_0", "table_2"]);
+});
+
+test("grantLakeFormationPermission records an aborted request, which may have been applied", async () => {
+    const abortController = new AbortController();
+    const progress = { ...buildProgress(), signal: abortController.signal };
+    mockClientCommands([LakeFormationClient], {
+        BatchGrantPermissionsCommand: () => {
+            abortController.abort(new Error("Lambda is about to time out."));
+            throw Object.assign(new Error("Request aborted."), { name: "AbortError" });
+        }
+    });
+    await assert.rejects(grantLakeFormationPermission(lakeFormationClient, DATABASE_NAME, [buildTableGrant(0)], progress), /Request aborted\./);
+    assert.deepEqual(progress.granted, [{ ...buildTableGrant(0), DatabaseName: DATABASE_NAME }]);
+});
+
+test("grantLakeFormationPermission creates the data cells filters first and records the new ones", async () => {
+    const calls = mockClientCommands([LakeFormationClient], {
+        CreateDataCellsFilterCommand: () => ({}),
+        BatchGrantPermissionsCommand: () => ({ Failures: [] })
+    });
+    const progress = buildProgress();
+    await grantLakeFormationPermission(lakeFormationClient, DATABASE_NAME, [buildFilterGrant("filter")], progress);
+    assert.deepEqual(calls.map(([name]) => name), ["CreateDataCellsFilterCommand", "BatchGrantPermissionsCommand"]);
+    assert.deepEqual(progress.createdFilters, [{ ...buildFilterGrant("filter"), DatabaseName: DATABASE_NAME }]);
+});
+
+test("revokeLakeFormationPermission skips the permissions no longer held and names each grant which failed", async () => {
+    const calls = mockClientCommands([LakeFormationClient], {
+        BatchRevokePermissionsCommand: input => failEntries(input, {
+            1: { ErrorCode: "InvalidInputException", ErrorMessage: `${NOT_HELD_REVOKE_ERROR_MESSAGE}.` },
+            2: { ErrorCode: "EntityNotFoundException", ErrorMessage: "Table not found." },
+            3: { ErrorCode: "AccessDeniedException", ErrorMessage: "Access denied." }
+        }),
+        DeleteDataCellsFilterCommand: () => ({})
+    });
+    const progress = buildProgress();
+    const grants = [buildFilterGrant("filter"), buildTableGrant(1), buildTableGrant(2), buildTableGrant(3)];
+    await assert.rejects(revokeLakeFormationPermission(lakeFormationClient, DATABASE_NAME, grants, progress), {
+        message: `Could not revoke 1 of 4 LakeFormation permissions: ${PRINCIPAL} on ${DATABASE_NAME}.table_3 (AccessDeniedException: Access denied.).`
+    });
+    assert.deepEqual(progress.revoked, [{ ...buildFilterGrant("filter"), DatabaseName: DATABASE_NAME }]);
+    assert.deepEqual(calls.filter(([name]) => name === "DeleteDataCellsFilterCommand").map(([, input]) => input.Name), ["filter"]);
+});
+
+test("revokeLakeFormationPermission fails each entry of a failed request", async () => {
+    mockClientCommands([LakeFormationClient], {
+        BatchRevokePermissionsCommand: () => { throw Object.assign(new Error("Access denied."), { name: "AccessDeniedException" }); }
+    });
+    await assert.rejects(revokeLakeFormationPermission(lakeFormationClient, DATABASE_NAME, [buildTableGrant(0), buildTableGrant(1)]),
+        /^Error: Could not revoke 2 of 2 LakeFormation permissions: /);
+});
+
+test("rollbackPermissionChanges revokes the grants, deletes the filters left behind and grants the revocations back", async () => {
+    const calls = mockClientCommands([LakeFormationClient], {
+        BatchRevokePermissionsCommand: () => ({ Failures: [] }),
+        BatchGrantPermissionsCommand: () => ({ Failures: [] }),
+        DeleteDataCellsFilterCommand: () => ({})
+    });
+    const progress = {
+        ...buildProgress(),
+        granted: [{ ...buildFilterGrant("granted"), DatabaseName: "database_a" }],
+        createdFilters: [
+            { ...buildFilterGrant("granted"), DatabaseName: "database_a" },
+            { ...buildFilterGrant("not_granted"), DatabaseName: "database_a" }
+        ],
+        revoked: [{ ...buildTableGrant(1), DatabaseName: "database_b" }]
+    };
+    await rollbackPermissionChanges(lakeFormationClient, progress);
+    assert.deepEqual(calls.map(([name, input]) => [name, input.Entries?.length ?? input.Name]), [
+        ["BatchRevokePermissionsCommand", 1],
+        ["DeleteDataCellsFilterCommand", "granted"],
+        ["DeleteDataCellsFilterCommand", "not_granted"],
+        ["BatchGrantPermissionsCommand", 1]
+    ]);
+    assert.equal(calls[3][1].Entries[0].Resource.Table.DatabaseName, "database_b");
+});
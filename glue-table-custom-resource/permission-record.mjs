@@ -0,0 +1,140 @@
+'use strict';
+/**
+ * Permission record of the GlueTables lambda, saved in SSM parameters and split into chunk parameters when larger than one.
+ **/
+import {
+    PutParameterCommand,
+    GetParameterCommand,
+    DeleteParameterCommand,
+    ParameterNotFound
+} from "@aws-sdk/client-ssm";
+import {
+    PERMISSION_RECORD_PARAMETER,
+    MAX_PERMISSION_RECORD_CHUNKS
+} from "./constant.mjs";
+import { putInStandardTier, splitParameterValue } from "./common/parameter-tier.mjs";
+
+/**
+ * Save permissionRecord, split into chunk parameters when larger than one, or only plan it once in plannedActions.
+ * Throws error before writing anything if it needs more than MAX_PERMISSION_RECORD_CHUNKS chunks.
+ */
+export async function savePermissionRecord(ssmClient, recordParameterName, permissionRecord, plannedActions) {
+    const chunks = splitParameterValue(JSON.stringify(permissionRecord));
+    if (chunks.length > MAX_PERMISSION_RECORD_CHUNKS) {
+        throw new Error(`Permission record ${recordParameterName} needs ${chunks.length} parameters, more than the limit of ${MAX_PERMISSION_RECORD_CHUNKS}, please restrict the grants with SourceTypes or PrincipalSourceTypes, or give fewer principals a PrincipalAccessPolicies entry.`);
+    }
+    if (plannedActions) {
+        if (!plannedActions.some(action => action.Action === "PutParameter" && action.Name === recordParameterName)) {
+            plannedActions.push({ Action: "PutParameter", Name: recordParameterName });
+        }
+        return;
+    }
+    console.log(`Saving permission record ${recordParameterName}${chunks.length > 1 ? ` in ${chunks.length} chunks` : ""}...`);
+    const oldChunkCount = getPermissionRecordChunkCount(await getParameterValue(ssmClient, recordParameterName));
+    if (chunks.length > 1) {
+        for (const [index, chunk] of chunks.entries()) {
+            await putPermissionRecordParameter(ssmClient, buildPermissionRecordChunkName(recordParameterName, index + 1), chunk);
+        }
+        await putPermissionRecordParameter(ssmClient, recordParameterName, JSON.stringify({ Chunks: chunks.length }));
+    } else {
+        await putPermissionRecordParameter(ssmClient, recordParameterName, chunks[0]);
+    }
+    const newChunkCount = chunks.length > 1 ? chunks.length : 0;
+    for (let chunkNumber = newChunkCount + 1; chunkNumber <= oldChunkCount; chunkNumber++) {
+        await deleteParameter(ssmClient, buildPermissionRecordChunkName(recordParameterName, chunkNumber));
+    }
+}
+
+async function putPermissionRecordParameter(ssmClient, parameterName, value) {
+    const input = { // PutParameterRequest
+        Name: parameterName, // required
+        Description: PERMISSION_RECORD_PARAMETER.Description,
+        Value: value,
+        Type: PERMISSION_RECORD_PARAMETER.Type,
+        AllowedPattern: PERMISSION_RECORD_PARAMETER.AllowedPattern,
+        Overwrite: true,
+    };
+    await putInStandardTier(parameterName, tier => ssmClient.send(new PutParameterCommand({ ...input, Tier: tier })));
+}
+
+function buildPermissionRecordChunkName(recordParameterName, chunkNumber) {
+    return `${recordParameterName}/${chunkNumber}`;
+}
+
+/**
+ * Get the number of chunks of the record whose record parameter holds value, 0 if the record is not split.
+ */
+function getPermissionRecordChunkCount(value) {
+    if (value === undefined) {
+        return 0;
+    }
+    const parsed = JSON.parse(value);
+    return !parsed.Regions && Number.isInteger(parsed.Chunks) ? parsed.Chunks : 0;
+}
+
+/**
+ * Get the permission record saved by startCreate, with the changes of each region under Regions. Records written before
+ * multiple regions were supported hold the changes of the lambda region directly. Return undefined if not found.
+ */
+export async function getPermissionRecord(ssmClient, recordParameterName) {
+    let value = await getParameterValue(ssmClient, recordParameterName);
+    if (value === undefined) {
+        return undefined;
+    }
+    const chunkCount = getPermissionRecordChunkCount(value);
+    if (chunkCount > 0) {
+        value = "";
+        for (let chunkNumber = 1; chunkNumber <= chunkCount; chunkNumber++) {
+            const chunkName = buildPermissionRecordChunkName(recordParameterName, chunkNumber);
+            const chunk = await getParameterValue(ssmClient, chunkName);
+            if (chunk === undefined) {
+                throw new Error(`Permission record chunk ${chunkName} is missing.`);
+            }
+            value += chunk;
+        }
+    }
+    const permissionRecord = JSON.parse(value);
+    if (!permissionRecord.Regions) {
+        return { Regions: { [process.env.AWS_REGION]: permissionRecord } };
+    }
+    return permissionRecord;
+}
+
+export async function deletePermissionRecord(ssmClient, recordParameterName) {
+    const chunkCount = getPermissionRecordChunkCount(await getParameterValue(ssmClient, recordParameterName));
+    for (let chunkNumber = 1; chunkNumber <= chunkCount; chunkNumber++) {
+        await deleteParameter(ssmClient, buildPermissionRecordChunkName(recordParameterName, chunkNumber));
+    }
+    await deleteParameter(ssmClient, recordParameterName);
+}
+
+/**
+ * Get value of the SSM parameter parameterName. Return undefined if the parameter does not exist.
+ */
+async function getParameterValue(ssmClient, parameterName) {
+    const command = new GetParameterCommand({ // GetParameterRequest
+        Name: parameterName,
+    });
+    try {
+        const response = await ssmClient.send(command);
+        return response.Parameter.Value;
+    } catch (error) {
+        if (error instanceof ParameterNotFound) {
+            return undefined;
+        }
+        throw error;
+    }
+}
+
+async function deleteParameter(ssmClient, parameterName) {
+    const command = new DeleteParameterCommand({ // DeleteParameterRequest
+        Name: parameterName,
+    });
+    try {
+        await ssmClient.send(command);
+    } catch (error) {
+        if (!(error instanceof ParameterNotFound)) {
+            throw error;
+        }
+    }
+}
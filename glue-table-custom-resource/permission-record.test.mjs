@@ -0,0 +1,93 @@
+'use strict';
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { SSMClient, ParameterNotFound } from "@aws-sdk/client-ssm";
+import { savePermissionRecord, getPermissionRecord, deletePermissionRecord } from "./permission-record.mjs";
+import { PERMISSION_RECORD_PARAMETER } from "./constant.mjs";
+import { mockClientCommands } from "./common/test-support.mjs";
+
+process.env.AWS_REGION = "us-east-1";
+
+const RECORD_PARAMETER_NAME = PERMISSION_RECORD_PARAMETER.Name;
+const ssmClient = new SSMClient({ region: "us-east-1" });
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Mock SSM parameters kept in parameters.
+ */
+function mockParameterCommands(parameters) {
+    const parameterNotFound = () => new ParameterNotFound({ message: "Parameter not found.", $metadata: {} });
+    return mockClientCommands([SSMClient], {
+        GetParameterCommand: input => {
+            if (!parameters.has(input.Name)) {
+                throw parameterNotFound();
+            }
+            return { Parameter: { Name: input.Name, Value: parameters.get(input.Name) } };
+        },
+        PutParameterCommand: input => {
+            parameters.set(input.Name, input.Value);
+            return {};
+        },
+        DeleteParameterCommand: input => {
+            if (!parameters.delete(input.Name)) {
+                throw parameterNotFound();
+            }
+            return {};
+        }
+    });
+}
+
+function buildPermissionRecord(grantCount) {
+    const granted = Array.from({ length: grantCount }, (_, index) => ({
+        Principal: "arn:aws:iam::222222222222:role/analyst",
+        DatabaseName: "amazon_security_lake_glue_db_us_east_1",
+        TableName: `amazon_security_lake_table_us_east_1_my_source_${index}_1_0`
+    }));
+    return { Regions: { "us-east-1": { Granted: granted } } };
+}
+
+test("a permission record larger than a parameter value is saved in chunks and read back", async () => {
+    const parameters = new Map();
+    mockParameterCommands(parameters);
+    const permissionRecord = buildPermissionRecord(100);
+    await savePermissionRecord(ssmClient, RECORD_PARAMETER_NAME, permissionRecord);
+    const chunkCount = JSON.parse(parameters.get(RECORD_PARAMETER_NAME)).Chunks;
+    assert.ok(chunkCount > 1);
+    assert.equal(parameters.size, chunkCount + 1);
+    assert.deepEqual(await getPermissionRecord(ssmClient, RECORD_PARAMETER_NAME), permissionRecord);
+});
+
+test("saving a smaller permission record deletes the chunks left over", async () => {
+    const parameters = new Map();
+    mockParameterCommands(parameters);
+    await savePermissionRecord(ssmClient, RECORD_PARAMETER_NAME, buildPermissionRecord(100));
+    const permissionRecord = buildPermissionRecord(1);
+    await savePermissionRecord(ssmClient, RECORD_PARAMETER_NAME, permissionRecord);
+    assert.deepEqual([...parameters.keys()], [RECORD_PARAMETER_NAME]);
+    assert.deepEqual(await getPermissionRecord(ssmClient, RECORD_PARAMETER_NAME), permissionRecord);
+});
+
+test("a permission record written before multiple regions is read as the record of the lambda region", async () => {
+    const parameters = new Map([[RECORD_PARAMETER_NAME, JSON.stringify({ Granted: [] })]]);
+    mockParameterCommands(parameters);
+    assert.deepEqual(await getPermissionRecord(ssmClient, RECORD_PARAMETER_NAME), { Regions: { "us-east-1": { Granted: [] } } });
+    assert.equal(await getPermissionRecord(ssmClient, "/missing"), undefined);
+});
+
+test("deletePermissionRecord deletes the record and its chunks", async () => {
+    const parameters = new Map();
+    mockParameterCommands(parameters);
+    await savePermissionRecord(ssmClient, RECORD_PARAMETER_NAME, buildPermissionRecord(100));
+    await deletePermissionRecord(ssmClient, RECORD_PARAMETER_NAME);
+    assert.equal(parameters.size, 0);
+});
+
+test("a planned permission record is not saved", async () => {
+    const calls = mockParameterCommands(new Map());
+    const plannedActions = [];
+    await savePermissionRecord(ssmClient, RECORD_PARAMETER_NAME, buildPermissionRecord(1), plannedActions);
+    await savePermissionRecord(ssmClient, RECORD_PARAMETER_NAME, buildPermissionRecord(1), plannedActions);
+    assert.deepEqual(plannedActions, [{ Action: "PutParameter", Name: RECORD_PARAMETER_NAME }]);
+    assert.deepEqual(calls, []);
+});
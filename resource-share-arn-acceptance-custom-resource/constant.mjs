@@ -0,0 +1,7 @@
+// Delay before the first retry while waiting for the resource share invitation, doubled after every attempt.
+export const INITIAL_POLL_DELAY_MILLIS = 1000;
+export const MAX_POLL_DELAY_MILLIS = 8000;
+// Stop polling when the lambda has less time left than this, so that the response can still be sent to CloudFormation.
+export const RESPONSE_TIME_BUFFER_MILLIS = 10000;
+// Upper bound of pages read from a single RAM listing call, can be overridden with the MaxListPages property.
+export const DEFAULT_MAX_LIST_PAGES = 100;
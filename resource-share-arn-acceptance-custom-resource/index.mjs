@@ -1,7 +1,5 @@
 'use strict';
 
-import https from "https";
-import url from "url";
 import {
     ResourceShareInvitationStatus,
     GetResourceShareInvitationsCommand,
@@ -10,50 +8,152 @@ import {
     AcceptResourceShareInvitationCommand,
     RAMClient
 } from "@aws-sdk/client-ram";
+import {
+    INITIAL_POLL_DELAY_MILLIS,
+    MAX_POLL_DELAY_MILLIS,
+    RESPONSE_TIME_BUFFER_MILLIS,
+    DEFAULT_MAX_LIST_PAGES
+} from "./constant.mjs";
+import { sendResponse } from "./common/cfn-response.mjs";
+import { parseResourceShareArns, getResourceShareRegion } from "./common/resource-share.mjs";
+import { runCheck, buildHealthReport } from "./common/health-check.mjs";
+import {
+    isDryRun,
+    isDryRunPhysicalResourceId,
+    buildDryRunPhysicalResourceId,
+    buildPlanData,
+    onlyDryRunChanged
+} from "./common/dry-run.mjs";
 
 /**
- * Lambda that takes a RAM resource share arn, searches for its corresponding invitation arn and accepts it.
+ * Lambda that takes RAM resource share arns, searches for their corresponding invitation arns and accepts them.
  **/
 export async function handler(event, context) {
     console.log("REQUEST RECEIVED.");
-    if (event.RequestType === "Update") {
-        const reason = "RequestType is Update which is not supported.";
-        console.error(reason);
-        await sendResponse(event, context, "FAILED", reason);
-        return;
+    if (event.RequestType === "HealthCheck") {
+        return await checkHealth(event, context);
     }
-
     let result;
     let reason;
-    if (event.RequestType === "Create") {
-        [result, reason] = await startCreate(event, context);
+    let data;
+    let physicalResourceId;
+    if (event.RequestType === "Create" || (event.RequestType === "Update" && isDryRunPhysicalResourceId(event.PhysicalResourceId))) {
+        [result, reason, data] = await startCreate(event, context);
+        physicalResourceId = isDryRun(event.ResourceProperties)
+            ? event.PhysicalResourceId ?? buildDryRunPhysicalResourceId(context)
+            : undefined;
+    } else if (event.RequestType === "Update") {
+        physicalResourceId = event.PhysicalResourceId;
+        if (onlyDryRunChanged(event.OldResourceProperties, event.ResourceProperties)) {
+            console.log("Only DryRun changed, nothing to update.");
+            result = "SUCCESS";
+        } else {
+            // Invitations of added resource shares are accepted, the accepted ones are left alone. Acceptances of removed
+            // resource shares are kept, as on Delete.
+            [result, reason, data] = await startCreate(event, context);
+        }
     } else if (event.RequestType === "Delete") {
         // For Delete requests, immediately send a SUCCESS response.
+        physicalResourceId = event.PhysicalResourceId;
         result = "SUCCESS";
     } else {
-        reason = "Unrecognized cloudformation request type received. This custom resource only supports creation and deletion.";
+        reason = "Unrecognized cloudformation request type received. This custom resource only supports creation, update and deletion.";
         console.error(reason);
         result = "FAILED";
     }
-    await sendResponse(event, context, result, reason);
+    await sendResponse(event, context, result, { physicalResourceId, reason, data });
 };
 
+/**
+ * Accept the invitation of every resource share. With the DryRun property, the invitations are only read
+ * and the planned acceptances are returned as response Data.
+ */
 async function startCreate(event, context) {
     try {
-        const resourceShareArn = getResourceShareArn(event);
-        console.log(`resource share arn: ${resourceShareArn}`);
-        const region = getResourceShareRegion(resourceShareArn);
-        console.log(`region: ${region}`);
-        const ramClient = constructRAMClient(region);
-        const [invitationStatus, invitationArn] = await getInvitation(ramClient, resourceShareArn);
-        await handleInvitation(ramClient, invitationStatus, invitationArn);
-        return ["SUCCESS", undefined];
+        const resourceShareArns = getResourceShareArns(event);
+        const maxListPages = getMaxListPages(event);
+        const dryRun = isDryRun(event.ResourceProperties);
+        // Regions are polled concurrently, so that a region waiting for its invitation does not use up the time of the others.
+        const results = await Promise.allSettled(resourceShareArns.map(resourceShareArn =>
+            acceptRegionInvitation(resourceShareArn, maxListPages, dryRun, context)));
+        const failures = resourceShareArns.flatMap((resourceShareArn, index) => results[index].status === "rejected"
+            ? [`${getResourceShareRegion(resourceShareArn)}: ${results[index].reason?.message ?? results[index].reason}`]
+            : []);
+        if (failures.length > 0) {
+            throw new Error(`Resource share invitations failed in ${failures.length} of ${resourceShareArns.length} regions. ${failures.join(" ")}`);
+        }
+        return ["SUCCESS", undefined, dryRun ? buildPlanData(results.flatMap(result => result.value)) : undefined];
     } catch (exception) {
         console.log(exception);
         return ["FAILED", exception];
     }
 }
 
+/**
+ * Accept the invitation of resourceShareArn in its region, or return the planned actions with dryRun.
+ */
+async function acceptRegionInvitation(resourceShareArn, maxListPages, dryRun, context) {
+    const region = getResourceShareRegion(resourceShareArn);
+    console.log(`resource share arn: ${resourceShareArn}, region: ${region}`);
+    // Each Security Lake region is shared separately, its invitation must be accepted in that region.
+    const ramClient = constructRAMClient(region);
+    const [invitationStatus, invitationArn] = await waitForInvitation(ramClient, resourceShareArn, maxListPages, context);
+    if (dryRun) {
+        return planInvitation(region, invitationStatus, invitationArn);
+    }
+    await handleInvitation(ramClient, invitationStatus, invitationArn);
+    if (invitationStatus === ResourceShareInvitationStatus.PENDING) {
+        await waitForInvitationAccepted(ramClient, invitationArn, context);
+    }
+    return [];
+}
+
+/**
+ * Check that the invitation of every resource share in the ResourceShareArn property has been accepted.
+ */
+async function checkHealth(event, context) {
+    let checks = [];
+    let resourceShareArns = [];
+    let maxListPages;
+    await runCheck(checks, "ResourceProperties", "Pass the ResourceShareArn property of the stack in ResourceProperties.", async () => {
+        maxListPages = getMaxListPages(event);
+        resourceShareArns = getResourceShareArns(event);
+        return { passed: true, detail: `Resource share arns: ${resourceShareArns.join(",")}` };
+    });
+    for (const resourceShareArn of resourceShareArns) {
+        const region = getResourceShareRegion(resourceShareArn);
+        await runCheck(checks, `ResourceShareInvitation ${region}`,
+            "Accept the resource share invitation in the RAM console, or ask the Security Lake admin to share the resources again if it expired or was rejected.",
+            async () => {
+                const invitation = await getInvitation(constructRAMClient(region), resourceShareArn, maxListPages);
+                if (!invitation) {
+                    return { passed: false, detail: `No invitation found for ${resourceShareArn}.` };
+                }
+                const [invitationStatus, invitationArn] = invitation;
+                return {
+                    passed: invitationStatus === ResourceShareInvitationStatus.ACCEPTED,
+                    detail: `Invitation ${invitationArn ?? `of ${resourceShareArn}`} is ${invitationStatus}.`
+                };
+            });
+    }
+    return buildHealthReport("ResourceShareAcceptor", checks);
+}
+
+/**
+ * Return the actions handleInvitation would take, throwing the same errors.
+ */
+function planInvitation(region, invitationStatus, invitationArn) {
+    console.log(`Invitation status, invitation Arn: (${invitationStatus}, ${invitationArn})`);
+    if (invitationStatus === ResourceShareInvitationStatus.PENDING) {
+        return [{ Action: "AcceptInvitation", Region: region, InvitationArn: invitationArn }];
+    } else if (invitationStatus === ResourceShareInvitationStatus.EXPIRED) {
+        throw new Error("Invitation has expired.");
+    } else if (invitationStatus === ResourceShareInvitationStatus.REJECTED) {
+        throw new Error("Invitation has already been rejected.");
+    }
+    return [];
+}
+
 async function handleInvitation(ramClient, invitationStatus, invitationArn) {
     console.log(`Invitation status, invitation Arn: (${invitationStatus}, ${invitationArn})`);
     if (invitationStatus === ResourceShareInvitationStatus.PENDING) {
@@ -67,76 +167,160 @@ async function handleInvitation(ramClient, invitationStatus, invitationArn) {
     }
 }
 
-function getResourceShareArn(event) {
-    const resourceShareArn = event.ResourceProperties.ResourceShareArn;
-    validateResourceShareArn(resourceShareArn);
-    return resourceShareArn;
-}
-
-function validateResourceShareArn(arn) {
-    const resourceShareRegex = /^arn:aws[-\w]{0,10}?:ram:.+/;
-    if(!resourceShareRegex.test(arn)) {
-        throw new Error("Invalid ResourceShareArn.");
-    }
+function getResourceShareArns(event) {
+    return parseResourceShareArns(event.ResourceProperties.ResourceShareArn);
 }
 
-function getResourceShareRegion(resourceShareArn) {
-    const captured = /^arn:aws[-\w]{0,10}?:ram:([^:]+):.+/.exec(resourceShareArn);
-    if (!captured || captured.length < 2) {
-        throw new Error("Could not parse region from resource share arn.");
+function getMaxListPages(event) {
+    const maxListPages = event.ResourceProperties.MaxListPages ?? DEFAULT_MAX_LIST_PAGES;
+    const parsed = Number(maxListPages);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new Error(`Invalid MaxListPages: ${maxListPages}.`);
     }
-    const region = captured[1];
-    validateRegion(region);
-    return region;
+    return parsed;
 }
 
-function validateRegion(region) {
-    const regionRegex = /[a-z]+(-[a-z]+)+-\d/;
-    if (!regionRegex.test(region)) {
-        throw new Error(`Invalid region: ${region}.` );
+/**
+ * Get resource share invitation status and arn from resourceShareArn, retrying while the invitation is not visible yet.
+ * Throws error if it is still not found when the lambda is about to run out of time.
+ */
+async function waitForInvitation(ramClient, resourceShareArn, maxListPages, context) {
+    const invitation = await pollWithBackoff(context, `Resource share invitation of ${resourceShareArn} not found`,
+        () => getInvitation(ramClient, resourceShareArn, maxListPages));
+    if (!invitation) {
+        throw new Error("Invalid ResourceShareArn: ResourceShareInvitationArn not found before the lambda ran out of time.");
     }
+    return invitation;
 }
 
 /**
- * Get resource share invitation status and arn from resourceShareArn.
+ * Get the status and arn of the most recent invitation to resourceShareArn. Returns undefined if there is none.
  */
-async function getInvitation(ramClient, resourceShareArn) {
-    const invitationsRequest = {
-        resourceShareArns: [
-            resourceShareArn,
-        ],
-    };
-    const command = new GetResourceShareInvitationsCommand(invitationsRequest);
-    const response = await ramClient.send(command);
-    if (response.resourceShareInvitations.length > 0 &&
-        !!response.resourceShareInvitations[0].resourceShareInvitationArn) {
-        return [response.resourceShareInvitations[0].status, response.resourceShareInvitations[0].resourceShareInvitationArn];
+async function getInvitation(ramClient, resourceShareArn, maxListPages) {
+    const invitations = await listInvitations(ramClient, resourceShareArn, maxListPages);
+    const validInvitations = invitations.filter(invitation => !!invitation.resourceShareInvitationArn);
+    if (validInvitations.length > 0) {
+        if (validInvitations.length > 1) {
+            console.log(`Found ${validInvitations.length} invitations for resource share arn, using the most recent one.`);
+        }
+        const invitation = validInvitations.reduce((latest, current) =>
+            (current.invitationTimestamp ?? 0) > (latest.invitationTimestamp ?? 0) ? current : latest);
+        return [invitation.status, invitation.resourceShareInvitationArn];
     } else {
         console.log("Resource share invitation not found, checking whether it has been accepted..");
-        if (await resourceShareAlreadyAccepted(ramClient, resourceShareArn)) {
+        if (await resourceShareAlreadyAccepted(ramClient, resourceShareArn, maxListPages)) {
             return [ResourceShareInvitationStatus.ACCEPTED, undefined];
         }
-        throw new Error("Invalid ResourceShareArn: ResourceShareInvitationArn not found.");
+        return undefined;
     }
 }
 
-async function resourceShareAlreadyAccepted(ramClient, resourceShareArn) {
-    const input = { // ListResourcesRequest
-        resourceOwner: "OTHER-ACCOUNTS",
-        resourceShareArns: [
-            resourceShareArn
-        ]
-    };
-    const command = new ListResourcesCommand(input);
+/**
+ * List every invitation of resourceShareArn, following nextToken.
+ * Throws error if the result does not fit in maxListPages pages.
+ */
+async function listInvitations(ramClient, resourceShareArn, maxListPages) {
+    let invitations = [];
+    let nextToken;
+    let pages = 0;
+    do {
+        if (pages >= maxListPages) {
+            throw new Error(`Listing resource share invitations exceeded ${maxListPages} pages, increase MaxListPages.`);
+        }
+        const invitationsRequest = {
+            resourceShareArns: [
+                resourceShareArn,
+            ],
+            nextToken: nextToken,
+        };
+        const command = new GetResourceShareInvitationsCommand(invitationsRequest);
+        const response = await ramClient.send(command);
+        invitations.push(...response.resourceShareInvitations);
+        nextToken = response.nextToken;
+        pages++;
+    } while (nextToken);
+    return invitations;
+}
+
+/**
+ * Wait until the invitation status becomes ACCEPTED, so that resources depending on the share do not start too early.
+ */
+async function waitForInvitationAccepted(ramClient, invitationArn, context) {
+    const accepted = await pollWithBackoff(context, `Resource share invitation ${invitationArn} not accepted yet`, async () => {
+        const status = await getInvitationStatus(ramClient, invitationArn);
+        if (status === ResourceShareInvitationStatus.ACCEPTED) {
+            return true;
+        } else if (status === ResourceShareInvitationStatus.EXPIRED || status === ResourceShareInvitationStatus.REJECTED) {
+            throw new Error(`Invitation status became ${status} while waiting for it to be accepted.`);
+        }
+        return undefined;
+    });
+    if (!accepted) {
+        throw new Error(`Invitation ${invitationArn} did not reach status ACCEPTED in time.`);
+    }
+    console.log("Invitation has been accepted.");
+}
+
+async function getInvitationStatus(ramClient, invitationArn) {
+    const command = new GetResourceShareInvitationsCommand({
+        resourceShareInvitationArns: [
+            invitationArn,
+        ],
+    });
     const response = await ramClient.send(command);
-    if (response.resources.length === 0) {
-        console.log("Cannot find resource share arn in existing resources.");
-        return false;
-    } else {
-        return true;
+    return response.resourceShareInvitations[0]?.status;
+}
+
+/**
+ * Call poll until it returns a value other than undefined, doubling the delay between attempts.
+ * Returns undefined if the lambda is about to run out of time.
+ */
+async function pollWithBackoff(context, description, poll) {
+    let delay = INITIAL_POLL_DELAY_MILLIS;
+    for (let attempt = 1; ; attempt++) {
+        const value = await poll();
+        if (value !== undefined) {
+            return value;
+        }
+        if (context.getRemainingTimeInMillis() - delay < RESPONSE_TIME_BUFFER_MILLIS) {
+            console.log(`${description} after ${attempt} attempts, giving up.`);
+            return undefined;
+        }
+        console.log(`${description} (attempt ${attempt}), retrying in ${delay} ms..`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay = Math.min(delay * 2, MAX_POLL_DELAY_MILLIS);
     }
 }
 
+/**
+ * Whether any resource of resourceShareArn is shared with this account. Empty pages are skipped by following nextToken.
+ */
+async function resourceShareAlreadyAccepted(ramClient, resourceShareArn, maxListPages) {
+    let nextToken;
+    let pages = 0;
+    do {
+        if (pages >= maxListPages) {
+            throw new Error(`Listing resources in resource share ARN exceeded ${maxListPages} pages, increase MaxListPages.`);
+        }
+        const input = { // ListResourcesRequest
+            resourceOwner: "OTHER-ACCOUNTS",
+            resourceShareArns: [
+                resourceShareArn
+            ],
+            nextToken: nextToken
+        };
+        const command = new ListResourcesCommand(input);
+        const response = await ramClient.send(command);
+        if (response.resources.length > 0) {
+            return true;
+        }
+        nextToken = response.nextToken;
+        pages++;
+    } while (nextToken);
+    console.log("Cannot find resource share arn in existing resources.");
+    return false;
+}
+
 function constructRAMClient(region) {
     return new RAMClient({
         region
@@ -159,58 +343,3 @@ async function acceptInvitation(ramClient, inviteArn) {
         }
     }
 }
-
-// Send response to the pre-signed S3 URL
-function sendResponse(event, context, responseStatus, reason) {
-    return new Promise((resolve, reject) => {
-        const responseBody = JSON.stringify({
-            Status: responseStatus,
-            Reason: composeReason(context, reason),
-            PhysicalResourceId: context.logStreamName,
-            StackId: event.StackId,
-            RequestId: event.RequestId,
-            LogicalResourceId: event.LogicalResourceId,
-            Data: {}
-        });
-
-        console.log("RESPONSE BODY:\n", responseBody);
-
-        const parsedUrl = url.parse(event.ResponseURL);
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: 443,
-            path: parsedUrl.path,
-            method: "PUT",
-            headers: {
-                "content-type": "",
-                "content-length": responseBody.length
-            }
-        };
-
-        console.log("SENDING RESPONSE...\n");
-
-        const request = https.request(options, function (response) {
-            // Tell AWS Lambda that the function execution is done
-            context.done();
-            resolve();
-        });
-
-        request.on("error", function (error) {
-            console.log("sendResponse Error:" + error);
-            // Tell AWS Lambda that the function execution is done
-            context.done();
-            resolve();
-        });
-
-        // write data to request body
-        request.write(responseBody);
-        request.end();
-    });
-}
-
-function composeReason(context, reason) {
-    const region = process.env.AWS_REGION;
-    const cwLogUrl = `https://console.aws.amazon.com/cloudwatch/home?region=${region}#logEventViewer:group=${context.logGroupName};stream=${context.logStreamName}`;
-    const cwLogStreamMessage = `See the details in CloudWatch Log Stream: ${cwLogUrl}`;
-    return reason ? `${reason} ${cwLogStreamMessage}` : `${cwLogStreamMessage}`;
-}
@@ -0,0 +1,51 @@
+'use strict';
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { RAMClient } from "@aws-sdk/client-ram";
+import { handler } from "./index.mjs";
+import { context, mockClientCommands, mockCloudFormationResponses } from "./common/test-support.mjs";
+
+process.env.AWS_REGION = "us-east-1";
+
+const properties = { ResourceShareArn: "arn:aws:ram:us-east-1:111111111111:resource-share/a", DryRun: "true" };
+const request = {
+    StackId: "arn:aws:cloudformation:us-east-1:222222222222:stack/stack/1",
+    RequestId: "request",
+    LogicalResourceId: "ResourceShareAcceptor",
+    ResponseURL: "https://example.com/response"
+};
+
+afterEach(() => mock.restoreAll());
+
+test("a real update of a dry run creation accepts the invitation", async () => {
+    const responses = mockCloudFormationResponses();
+    let invitationStatus = "PENDING";
+    const calls = mockClientCommands([RAMClient], {
+        GetResourceShareInvitationsCommand: () => ({
+            resourceShareInvitations: [{ resourceShareInvitationArn: "invitation", status: invitationStatus }]
+        }),
+        AcceptResourceShareInvitationCommand: () => {
+            invitationStatus = "ACCEPTED";
+            return { resourceShareInvitation: { status: invitationStatus } };
+        }
+    });
+
+    await handler({ ...request, RequestType: "Create", ResourceProperties: properties }, context);
+    const [dryRunResponse] = responses;
+    assert.equal(dryRunResponse.Status, "SUCCESS");
+    assert.match(dryRunResponse.PhysicalResourceId, /^DryRun-/);
+    assert.equal(invitationStatus, "PENDING");
+
+    await handler({
+        ...request,
+        RequestType: "Update",
+        PhysicalResourceId: dryRunResponse.PhysicalResourceId,
+        ResourceProperties: { ...properties, DryRun: "false" },
+        OldResourceProperties: properties
+    }, context);
+    const [, realResponse] = responses;
+    assert.equal(realResponse.Status, "SUCCESS");
+    assert.doesNotMatch(realResponse.PhysicalResourceId, /^DryRun-/);
+    assert.ok(calls.some(([name]) => name === "AcceptResourceShareInvitationCommand"));
+    assert.equal(invitationStatus, "ACCEPTED");
+});
@@ -14,8 +14,16 @@ export const TABLE_NAMES_PARAMETER = {
     Name: "/Detective/SLI/TableNames",
     Description: "List of table names in Security Lake resource share arn",
     Type: "StringList",
-    AllowedPattern: ".+"
+    AllowedPattern: ".+",
+    Chunked: true
 }
+export const SOURCE_METADATA_PARAMETER = {
+    Name: "/Detective/SLI/SourceMetadata",
+    Description: "JSON description of the Security Lake sources of the table names",
+    Type: "String",
+    AllowedPattern: ".+",
+    Chunked: true
+};
 export const DATABASE_NAME_PARAMETER = {
     Name: "/Detective/SLI/DatabaseName",
     Description: "Database name in Security Lake resource share arn",
@@ -28,7 +36,23 @@ export const STACK_ID_PARAMETER = {
     Type: "String",
     AllowedPattern: ".+"
 };
-// ex: arn:aws:glue:us-west-2:123456789012:database/amazon_security_lake_glue_db_us_west_2
-export const DATABASE_NAME_CAPTURE_REGEX = /^arn:aws[-\w]{0,10}?:glue:[^:]+:[^:]+:database\/(.+)$/;
-// ex: arn:aws:glue:us-west-2:123456789012:table/amazon_security_lake_glue_db_us_west_2/amazon_security_lake_table_us_west_2_cloud_trail_mgmt_1_0
-export const TABLE_NAME_CAPTURE_REGEX = /^arn:aws[-\w]{0,10}?:glue:[^:]+:[^:]+:table\/[^\/]+\/(.+)$/;
+// Properties of the custom resource last applied, which the scheduled reconciliation applies again.
+export const RESOURCE_PROPERTIES_PARAMETER = {
+    Name: "/Detective/SLI/ResourceProperties",
+    Description: "Resource properties of security lake integration stack",
+    Type: "String",
+    AllowedPattern: ".+"
+};
+// ex: amazon_security_lake_glue_db_us_west_2
+export const SECURITY_LAKE_DATABASE_PREFIX = "amazon_security_lake_glue_db_";
+// Upper bound of pages read from a single RAM listing call, can be overridden with the MaxListPages property.
+export const DEFAULT_MAX_LIST_PAGES = 100;
+// Database and table names of every resource share, grouped by source region: /Detective/SLI/Regions/<region>/DatabaseName
+export const REGION_PARAMETER_PREFIX = "/Detective/SLI/Regions";
+// DeleteParameters accepts at most 10 names per call.
+export const MAX_DELETE_PARAMETERS = 10;
+// Values of Chunked parameters which do not fit in one parameter continue in chunk parameters, for example
+// /Detective/SLI/TableNames/2, /Detective/SLI/TableNames/3..
+export const MAX_PARAMETER_CHUNKS = 20;
+// CloudFormation responses are limited to 4 KB, longer table names are only reported through their parameter name.
+export const MAX_RESPONSE_TABLE_NAMES_BYTES = 2048;
@@ -1,96 +1,567 @@
 'use strict';
 /**
- * Lambda that takes a RAM resource share arn and some other inputs, list out the database and table names in it and update
+ * Lambda that takes RAM resource share arns and some other inputs, list out the database and table names in them and update
  * SSM (Systems Manager) parameters accordingly.
  **/
-import https from "https";
-import url from "url";
 import {
     SSMClient,
     PutParameterCommand,
     DeleteParametersCommand,
     ParameterAlreadyExists,
+    ParameterNotFound,
     GetParameterCommand
 } from "@aws-sdk/client-ssm";
 import {
     RAMClient,
     ListResourcesCommand
 } from "@aws-sdk/client-ram";
+import {
+    CloudFormationClient,
+    DescribeStacksCommand,
+    StackStatus
+} from "@aws-sdk/client-cloudformation";
 import {
     RESOURCE_SHARE_ARN_PARAMETER,
     ATHENA_RESULT_BUCKET_PARAMETER,
     DATABASE_NAME_PARAMETER,
     TABLE_NAMES_PARAMETER,
+    SOURCE_METADATA_PARAMETER,
     STACK_ID_PARAMETER,
-    DATABASE_NAME_CAPTURE_REGEX,
-    TABLE_NAME_CAPTURE_REGEX
+    RESOURCE_PROPERTIES_PARAMETER,
+    SECURITY_LAKE_DATABASE_PREFIX,
+    DEFAULT_MAX_LIST_PAGES,
+    REGION_PARAMETER_PREFIX,
+    MAX_DELETE_PARAMETERS,
+    MAX_PARAMETER_CHUNKS,
+    MAX_RESPONSE_TABLE_NAMES_BYTES
 } from "./constant.mjs";
+import { sendResponse } from "./common/cfn-response.mjs";
+import {
+    filterTableNamesBySourceTypes,
+    parseSourceTypes,
+    parseTableName,
+    compareSourceVersions
+} from "./common/security-lake-table.mjs";
+import { parseResourceShareArns, getResourceShareRegion } from "./common/resource-share.mjs";
+import { parseGlueDatabaseArn, parseGlueTableArn, parseStackArn, validateRegion } from "./common/arn.mjs";
+import {
+    parseParameterNamespace,
+    scopeParameterName,
+    validateParameterNamespaceUnchanged
+} from "./common/parameter-namespace.mjs";
+import { runCheck, buildHealthReport } from "./common/health-check.mjs";
+import { MAX_PARAMETER_VALUE_BYTES, putInStandardTier, splitParameterValue } from "./common/parameter-tier.mjs";
+import {
+    isDryRun,
+    isDryRunPhysicalResourceId,
+    buildDryRunPhysicalResourceId,
+    buildPlanData
+} from "./common/dry-run.mjs";
 
 export async function handler(event, context) {
     console.log("REQUEST RECEIVED.");
-    if (event.RequestType === "Update") {
-        const reason = "RequestType is Update which is not supported.";
-        console.error(reason);
-        await sendResponse(event, context, "FAILED", reason);
-        return;
+    if (event.RequestType === "HealthCheck") {
+        return await checkHealth(event, context);
+    }
+    if (event.RequestType === "Reconcile") {
+        // Scheduled runs come from EventBridge without a ResponseURL, failures are reported as lambda errors instead.
+        const [result, reason, data] = await reconcileParameters(event, context);
+        if (result !== "SUCCESS") {
+            throw reason;
+        }
+        return data;
     }
-
     let result;
     let reason;
-    if (event.RequestType === "Create") {
-        [result, reason] = await createParameters(event, context);
+    let data;
+    // Keep the physical resource id stable on Update, otherwise CloudFormation treats the
+    // update as a replacement and sends a Delete for the old resource, which removes every parameter.
+    let physicalResourceId = event.PhysicalResourceId;
+    if (event.RequestType === "Create" || (event.RequestType === "Update" && isDryRunPhysicalResourceId(event.PhysicalResourceId))) {
+        [result, reason, data] = await createParameters(event, context);
+        physicalResourceId = isDryRun(event.ResourceProperties)
+            ? event.PhysicalResourceId ?? buildDryRunPhysicalResourceId(context)
+            : undefined;
+    } else if (event.RequestType === "Update") {
+        [result, reason, data] = await updateParameters(event, context);
     } else if (event.RequestType === "Delete") {
-        [result, reason] = await deleteParameters(event, context);
+        [result, reason, data] = await deleteParameters(event, context);
     } else {
-        reason = "Unrecognized cloudformation request type received. This custom resource only supports creation and deletion.";
+        reason = "Unrecognized cloudformation request type received. This custom resource only supports creation, update and deletion.";
         console.error(reason);
         result = "FAILED";
     }
-    await sendResponse(event, context, result, reason);
+    await sendResponse(event, context, result, { physicalResourceId, reason, data });
 }
 
+/**
+ * Save every parameter. With the DryRun property, the existing parameters are only read and the planned writes are
+ * returned as response Data.
+ */
 async function createParameters(event, context) {
     try {
         console.log("Creating parameters..");
-        const resourceShareArn = getResourceShareArn(event);
-        const resourceShareRegion = getResourceShareRegion(resourceShareArn)
+        const plannedActions = isDryRun(event.ResourceProperties) ? [] : undefined;
+        const resourceShareArns = getResourceShareArns(event);
         const dtRegion = getDTRegion(event);
         const athenaResultBucket = getAthenaResultBucket(event);
         const stackId = getStackId(event);
-        const ramClient = new RAMClient({
-            region: resourceShareRegion
-        })
-        const databaseName = await getDatabaseName(ramClient, resourceShareArn);
-        const tableNameList = await getTableNames(ramClient, resourceShareArn);
+        const namespace = getParameterNamespace(event);
+        const parameters = buildParameters(namespace);
+        const resourceShares = await getResourceShares(event, resourceShareArns);
         const ssmClient = new SSMClient({
             region: dtRegion
         });
-        await saveParameter(ssmClient, STACK_ID_PARAMETER, stackId);
-        await saveParameter(ssmClient, RESOURCE_SHARE_ARN_PARAMETER, resourceShareArn);
-        await saveParameter(ssmClient, ATHENA_RESULT_BUCKET_PARAMETER, athenaResultBucket);
-        await saveParameter(ssmClient, DATABASE_NAME_PARAMETER, databaseName);
-        await saveParameter(ssmClient, TABLE_NAMES_PARAMETER, tableNameList.join(","));
-        return ["SUCCESS", undefined];
+        const parameterValues = buildParameterValues(event, parameters, namespace, stackId, resourceShares, athenaResultBucket, dtRegion);
+        for (const [parameter, parameterValue] of parameterValues) {
+            if (plannedActions) {
+                await planSaveParameter(ssmClient, parameter, parameterValue, stackId, parameters.stackId.Name, plannedActions);
+            } else {
+                await saveParameter(ssmClient, parameter, parameterValue, stackId, parameters.stackId.Name);
+            }
+        }
+        return ["SUCCESS", undefined, {
+            ...buildResponseData(resourceShares, athenaResultBucket, parameters.tableNames),
+            ...(plannedActions ? buildPlanData(plannedActions) : {})
+        }];
+    } catch (exception) {
+        console.error(exception);
+        return ["FAILED", exception];
+    }
+}
+
+/**
+ * Apply the properties recorded in the resource properties parameter as an update, which brings the parameters back in
+ * sync with the resource shares.
+ */
+async function reconcileParameters(event, context) {
+    try {
+        console.log("Reconciling parameters..");
+        const ssmClient = new SSMClient({
+            region: getDTRegion(event)
+        });
+        const resourcePropertiesParameterName = buildParameters(getParameterNamespace(event)).resourceProperties.Name;
+        const resourcePropertiesValue = await getParameterValue(ssmClient, resourcePropertiesParameterName);
+        if (resourcePropertiesValue === undefined) {
+            throw new Error(`Parameter ${resourcePropertiesParameterName} is missing, please update the stack once before reconciling.`);
+        }
+        const resourceProperties = JSON.parse(resourcePropertiesValue);
+        return await updateParameters({
+            RequestType: "Update",
+            ResourceProperties: {
+                ...resourceProperties,
+                ...(isDryRun(event.ResourceProperties) ? { DryRun: "true" } : {})
+            },
+            OldResourceProperties: resourceProperties
+        }, context);
+    } catch (exception) {
+        console.error(exception);
+        return ["FAILED", exception];
+    }
+}
+
+/**
+ * Log how the value of parameter changes, entry by entry for the table names lists.
+ */
+function logParameterChange(parameter, existingValue, parameterValue) {
+    if (existingValue === undefined || parameter.Type !== TABLE_NAMES_PARAMETER.Type) {
+        console.log(`Parameter ${parameter.Name} changed from ${existingValue} to ${parameterValue}.`);
+        return;
+    }
+    const [addedEntries, removedEntries] = diffListValues(existingValue, parameterValue);
+    console.log(`Parameter ${parameter.Name} changed, added: ${JSON.stringify(addedEntries)}, removed: ${JSON.stringify(removedEntries)}.`);
+}
+
+/**
+ * Return the entries of the comma separated parameterValue missing from existingValue, and the ones only in existingValue.
+ */
+function diffListValues(existingValue, parameterValue) {
+    const existingEntries = existingValue.split(",");
+    const entries = parameterValue.split(",");
+    return [
+        entries.filter(entry => !existingEntries.includes(entry)),
+        existingEntries.filter(entry => !entries.includes(entry))
+    ];
+}
+
+/**
+ * Check that the parameters belong to the stack in the StackId property and that their values still match the resource shares.
+ */
+async function checkHealth(event, context) {
+    let checks = [];
+    let properties;
+    await runCheck(checks, "ResourceProperties", "Pass the resource properties of the DetectiveSLIParameters custom resource in ResourceProperties.", async () => {
+        const resourceShareArns = getResourceShareArns(event);
+        const namespace = getParameterNamespace(event);
+        properties = {
+            resourceShareArns,
+            namespace,
+            dtRegion: getDTRegion(event),
+            athenaResultBucket: getAthenaResultBucket(event),
+            stackId: getStackId(event),
+            parameters: buildParameters(namespace)
+        };
+        return { passed: true, detail: `Resource share arns: ${resourceShareArns.join(",")}` };
+    });
+    if (!properties) {
+        return buildHealthReport("SsmParameters", checks);
+    }
+    const { resourceShareArns, namespace, dtRegion, athenaResultBucket, stackId, parameters } = properties;
+    const ssmClient = new SSMClient({
+        region: dtRegion
+    });
+    await runCheck(checks, "StackId", `Update this stack, or if ${parameters.stackId.Name} names another stack, delete that stack or use another ParameterNamespace.`, async () => {
+        const existingStackId = await getParameterValue(ssmClient, parameters.stackId.Name);
+        return {
+            passed: existingStackId === stackId,
+            detail: `${parameters.stackId.Name} is ${existingStackId ?? "missing"}, expected ${stackId}.`
+        };
+    });
+    let resourceShares;
+    await runCheck(checks, "ResourceShares", "Check that the resource share invitations were accepted and that the Security Lake admin still shares its database and tables.", async () => {
+        resourceShares = await getResourceShares(event, resourceShareArns);
+        return { passed: true, detail: `Found ${resourceShares.map(resourceShare => `${resourceShare.tableNameList.length} tables in ${resourceShare.region}`).join(", ")}.` };
+    });
+    if (!resourceShares) {
+        return buildHealthReport("SsmParameters", checks);
+    }
+    const parameterValues = buildParameterValues(event, parameters, namespace, stackId, resourceShares, athenaResultBucket, dtRegion)
+        .filter(([parameter]) => parameter.Name !== parameters.stackId.Name && parameter.Name !== parameters.resourceProperties.Name);
+    for (const [parameter, parameterValue] of parameterValues) {
+        await runCheck(checks, `Parameter ${parameter.Name}`, "Run a Reconcile or update the stack to bring the parameter back in sync with the resource shares.", async () => {
+            const existingValue = await getParameterValue(ssmClient, parameter.Name);
+            if (existingValue === parameterValue) {
+                return { passed: true, detail: `${parameter.Name} is in sync.` };
+            }
+            if (existingValue === undefined) {
+                return { passed: false, detail: `${parameter.Name} is missing.` };
+            }
+            if (parameter.Type !== TABLE_NAMES_PARAMETER.Type) {
+                return { passed: false, detail: `${parameter.Name} differs.`, drift: { Expected: parameterValue, Actual: existingValue } };
+            }
+            const [missingEntries, unexpectedEntries] = diffListValues(existingValue, parameterValue);
+            return {
+                passed: false,
+                detail: `${parameter.Name} differs from the resource share.`,
+                drift: { MissingEntries: missingEntries, UnexpectedEntries: unexpectedEntries }
+            };
+        });
+    }
+    return buildHealthReport("SsmParameters", checks);
+}
+
+/**
+ * Overwrite the parameters whose value changed and delete the region parameters of removed resource shares, or only plan
+ * it with DryRun.
+ */
+async function updateParameters(event, context) {
+    try {
+        console.log("Updating parameters..");
+        const plannedActions = isDryRun(event.ResourceProperties) ? [] : undefined;
+        const changedProperties = getChangedProperties(event.OldResourceProperties, event.ResourceProperties);
+        console.log(`Changed properties: ${JSON.stringify(changedProperties)}`);
+        const resourceShareArns = getResourceShareArns(event);
+        const dtRegion = getDTRegion(event);
+        validateDTRegionUnchanged(event.OldResourceProperties, dtRegion);
+        const athenaResultBucket = getAthenaResultBucket(event);
+        const stackId = getStackId(event);
+        const namespace = getParameterNamespace(event);
+        validateParameterNamespaceUnchanged(event.OldResourceProperties, namespace);
+        const parameters = buildParameters(namespace);
+        const resourceShares = await getResourceShares(event, resourceShareArns);
+        const ssmClient = new SSMClient({
+            region: dtRegion
+        });
+        const parameterValues = buildParameterValues(event, parameters, namespace, stackId, resourceShares, athenaResultBucket, dtRegion);
+        for (const [parameter, parameterValue] of parameterValues) {
+            const existingValue = await getParameterValue(ssmClient, parameter.Name);
+            if (existingValue === parameterValue) {
+                console.log(`Parameter ${parameter.Name} is unchanged.`);
+                continue;
+            }
+            logParameterChange(parameter, existingValue, parameterValue);
+            if (plannedActions) {
+                await planSaveParameter(ssmClient, parameter, parameterValue, stackId, parameters.stackId.Name, plannedActions);
+            } else {
+                await saveParameter(ssmClient, parameter, parameterValue, stackId, parameters.stackId.Name);
+            }
+        }
+        const regions = resourceShares.map(resourceShare => resourceShare.region);
+        const savedParameterNames = parameterValues.map(([parameter]) => parameter.Name);
+        const unusedChunkNames = [...Object.values(parameters), ...regions.flatMap(region => buildRegionParameters(region, namespace))]
+            .filter(parameter => parameter.Chunked)
+            .flatMap(getChunkNames)
+            .filter(name => !savedParameterNames.includes(name));
+        console.log("Deleting unused chunks..");
+        await deleteSSMParameters(ssmClient, unusedChunkNames, plannedActions);
+        const removedRegions = getResourceShareRegions(event.OldResourceProperties).filter(region => !regions.includes(region));
+        if (removedRegions.length > 0) {
+            const parametersToDelete = removedRegions.flatMap(region => getParameterNamesWithChunks(buildRegionParameters(region, namespace)));
+            console.log(`Deleting parameters of removed resource shares ${JSON.stringify(parametersToDelete)}..`);
+            await deleteSSMParameters(ssmClient, parametersToDelete, plannedActions);
+        }
+        return ["SUCCESS", undefined, {
+            ...buildResponseData(resourceShares, athenaResultBucket, parameters.tableNames),
+            ...(plannedActions ? buildPlanData(plannedActions) : {})
+        }];
     } catch (exception) {
         console.error(exception);
         return ["FAILED", exception];
     }
 }
 
+/**
+ * Read the database and table names of every resource share, each in its own region.
+ */
+async function getResourceShares(event, resourceShareArns) {
+    const maxListPages = getMaxListPages(event);
+    const sourceTypes = parseSourceTypes(event.ResourceProperties.SourceTypes, "SourceTypes");
+    let resourceShares = [];
+    for (const resourceShareArn of resourceShareArns) {
+        const region = getResourceShareRegion(resourceShareArn);
+        console.log(`Reading resource share ${resourceShareArn} in ${region}..`);
+        const ramClient = new RAMClient({
+            region: region
+        })
+        const databaseArn = await getDatabaseNameArn(ramClient, resourceShareArn, region, maxListPages);
+        const [securityLakeAdminAccount, databaseName] = getDatabaseArnParts(databaseArn);
+        const tableNameList = restrictTableNames(await getTableNames(ramClient, resourceShareArn, databaseName, maxListPages), sourceTypes);
+        resourceShares.push({ resourceShareArn, region, securityLakeAdminAccount, databaseName, tableNameList });
+    }
+    return resourceShares;
+}
+
+/**
+ * Build the parameters of the integration, scoped under namespace when one is given.
+ */
+function buildParameters(namespace) {
+    const scope = parameter => ({ ...parameter, Name: scopeParameterName(parameter.Name, namespace) });
+    return {
+        stackId: scope(STACK_ID_PARAMETER),
+        resourceProperties: scope(RESOURCE_PROPERTIES_PARAMETER),
+        resourceShareArn: scope(RESOURCE_SHARE_ARN_PARAMETER),
+        athenaResultBucket: scope(ATHENA_RESULT_BUCKET_PARAMETER),
+        databaseName: scope(DATABASE_NAME_PARAMETER),
+        tableNames: scope(TABLE_NAMES_PARAMETER),
+        sourceMetadata: scope(SOURCE_METADATA_PARAMETER)
+    };
+}
+
+/**
+ * Build the [parameter, value] pairs to save, in the order they are written. The stack id parameter comes first, so
+ * that the ownership of the other parameters can be checked against it.
+ */
+function buildParameterValues(event, parameters, namespace, stackId, resourceShares, athenaResultBucket, dtRegion) {
+    const primaryResourceShare = resourceShares.find(resourceShare => resourceShare.region === dtRegion) ?? resourceShares[0];
+    // DryRun is left out, the reconciliation sets it on its own.
+    const { ServiceToken, DryRun, ...resourceProperties } = event.ResourceProperties;
+    return [
+        [parameters.stackId, stackId],
+        [parameters.resourceProperties, JSON.stringify(resourceProperties)],
+        [parameters.resourceShareArn, resourceShares.map(resourceShare => resourceShare.resourceShareArn).join(",")],
+        [parameters.athenaResultBucket, athenaResultBucket],
+        [parameters.databaseName, primaryResourceShare.databaseName],
+        ...buildTableNamesParameterValues(parameters.tableNames, primaryResourceShare.tableNameList),
+        ...buildSourceMetadataParameterValues(parameters.sourceMetadata, primaryResourceShare.tableNameList),
+        ...resourceShares.flatMap(resourceShare => {
+            const [databaseNameParameter, tableNamesParameter, sourceMetadataParameter] = buildRegionParameters(resourceShare.region, namespace);
+            return [
+                [databaseNameParameter, resourceShare.databaseName],
+                ...buildTableNamesParameterValues(tableNamesParameter, resourceShare.tableNameList),
+                ...buildSourceMetadataParameterValues(sourceMetadataParameter, resourceShare.tableNameList)
+            ];
+        })
+    ];
+}
+
+/**
+ * Return the [parameter, value] pairs of sourceMetadataParameter and its chunks, listing the versions of every source type
+ * and region of tableNameList, and the table of its newest version.
+ */
+function buildSourceMetadataParameterValues(sourceMetadataParameter, tableNameList) {
+    let sources = {};
+    let unparsedTableNames = [];
+    for (const tableName of tableNameList) {
+        const table = parseTableName(tableName);
+        if (!table) {
+            unparsedTableNames.push(tableName);
+            continue;
+        }
+        const key = `${table.Region}/${table.SourceType}`;
+        const source = sources[key] ??= {
+            SourceType: table.SourceType,
+            Region: table.Region,
+            KnownSource: table.KnownSource,
+            Versions: []
+        };
+        source.Versions.push(table.SourceVersion);
+        if (!source.LatestVersion || compareSourceVersions(table.SourceVersion, source.LatestVersion) > 0) {
+            source.LatestVersion = table.SourceVersion;
+            source.LatestTableName = table.TableName;
+        }
+    }
+    const sourceList = Object.keys(sources).sort().map(key => ({
+        ...sources[key],
+        Versions: sources[key].Versions.sort(compareSourceVersions)
+    }));
+    const unknownSourceTypes = sourceList.filter(source => !source.KnownSource).map(source => source.SourceType);
+    if (unknownSourceTypes.length > 0 || unparsedTableNames.length > 0) {
+        console.warn(`Unknown source types: ${JSON.stringify(unknownSourceTypes)}, unparsed table names: ${JSON.stringify(unparsedTableNames)}`);
+    }
+    const value = JSON.stringify({ Sources: sourceList, UnparsedTableNames: unparsedTableNames });
+    // The JSON is split anywhere, readers parse the chunks once appended.
+    return buildChunkParameterValues(sourceMetadataParameter, splitParameterValue(value));
+}
+
+/**
+ * Split tableNameList into chunks of at most MAX_PARAMETER_VALUE_BYTES and return the [parameter, value] pairs of
+ * tableNamesParameter and of its chunk parameters.
+ */
+function buildTableNamesParameterValues(tableNamesParameter, tableNameList) {
+    let chunks = [[]];
+    let chunkBytes = 0;
+    for (const tableName of tableNameList) {
+        const tableNameBytes = Buffer.byteLength(tableName) + 1;
+        if (chunks.at(-1).length > 0 && chunkBytes + tableNameBytes - 1 > MAX_PARAMETER_VALUE_BYTES) {
+            chunks.push([]);
+            chunkBytes = 0;
+        }
+        chunks.at(-1).push(tableName);
+        chunkBytes += tableNameBytes;
+    }
+    return buildChunkParameterValues(tableNamesParameter, chunks.map(chunk => chunk.join(",")));
+}
+
+/**
+ * Return the [parameter, value] pairs of parameter, holding the first chunk, and of its chunk parameters <name>/2,
+ * <name>/3.. holding the next ones. Throws error if there are more than MAX_PARAMETER_CHUNKS chunks.
+ */
+function buildChunkParameterValues(parameter, chunks) {
+    if (chunks.length > MAX_PARAMETER_CHUNKS) {
+        throw new Error(`${parameter.Name} needs ${chunks.length} parameters, more than the limit of ${MAX_PARAMETER_CHUNKS}, please restrict the tables with SourceTypes.`);
+    }
+    if (chunks.length > 1) {
+        console.log(`${parameter.Name} is split into ${chunks.length} parameters.`);
+    }
+    return chunks.map((chunk, index) => [index == 0 ? parameter : buildChunkParameter(parameter, index + 1), chunk]);
+}
+
+function buildChunkParameter(parameter, chunkNumber) {
+    return {
+        ...parameter,
+        Name: `${parameter.Name}/${chunkNumber}`,
+        Description: `${parameter.Description}, part ${chunkNumber}`
+    };
+}
+
+/**
+ * Get the names of every possible chunk parameter of parameter, used or not.
+ */
+function getChunkNames(parameter) {
+    let chunkNames = [];
+    for (let chunkNumber = 2; chunkNumber <= MAX_PARAMETER_CHUNKS; chunkNumber++) {
+        chunkNames.push(buildChunkParameter(parameter, chunkNumber).Name);
+    }
+    return chunkNames;
+}
+
+/**
+ * Get the names of parameters, followed by every possible chunk parameter of the Chunked parameters among them.
+ */
+function getParameterNamesWithChunks(parameters) {
+    return [
+        ...parameters.map(parameter => parameter.Name),
+        ...parameters.filter(parameter => parameter.Chunked).flatMap(getChunkNames)
+    ];
+}
+
+/**
+ * Build the database name, table names and source metadata parameters of the resource share of region, scoped under namespace.
+ */
+function buildRegionParameters(region, namespace) {
+    return [
+        {
+            ...DATABASE_NAME_PARAMETER,
+            Name: scopeParameterName(`${REGION_PARAMETER_PREFIX}/${region}/DatabaseName`, namespace),
+            Description: `Database name in Security Lake resource share arn of ${region}`
+        },
+        {
+            ...TABLE_NAMES_PARAMETER,
+            Name: scopeParameterName(`${REGION_PARAMETER_PREFIX}/${region}/TableNames`, namespace),
+            Description: `List of table names in Security Lake resource share arn of ${region}`
+        },
+        {
+            ...SOURCE_METADATA_PARAMETER,
+            Name: scopeParameterName(`${REGION_PARAMETER_PREFIX}/${region}/SourceMetadata`, namespace),
+            Description: `JSON description of the Security Lake sources of the table names of ${region}`
+        }
+    ];
+}
+
+/**
+ * Build the response Data, readable through Fn::GetAtt on the custom resource. Table names longer than
+ * MAX_RESPONSE_TABLE_NAMES_BYTES are replaced by the name of tableNamesParameter.
+ */
+function buildResponseData(resourceShares, athenaResultBucket, tableNamesParameter) {
+    let tableNames = resourceShares.flatMap(resourceShare => resourceShare.tableNameList).join(",");
+    if (Buffer.byteLength(tableNames) > MAX_RESPONSE_TABLE_NAMES_BYTES) {
+        console.warn(`Table names are too long for the response, reporting parameter ${tableNamesParameter.Name} instead.`);
+        tableNames = tableNamesParameter.Name;
+    }
+    return {
+        SecurityLakeAdminAccountId: [...new Set(resourceShares.map(resourceShare => resourceShare.securityLakeAdminAccount))].join(","),
+        DatabaseName: resourceShares.map(resourceShare => resourceShare.databaseName).join(","),
+        TableNames: tableNames,
+        AthenaResultsBucket: athenaResultBucket
+    };
+}
+
+/**
+ * Return the names of the resource properties that differ between oldProperties and newProperties.
+ */
+function getChangedProperties(oldProperties, newProperties) {
+    const propertyNames = new Set([...Object.keys(oldProperties ?? {}), ...Object.keys(newProperties ?? {})]);
+    return [...propertyNames].filter(name => JSON.stringify(oldProperties?.[name]) !== JSON.stringify(newProperties?.[name]));
+}
+
+/**
+ * Parameters are stored in DTRegion and the lambda role is only allowed to manage parameters in that region,
+ * so moving them to another region is not supported.
+ */
+function validateDTRegionUnchanged(oldProperties, dtRegion) {
+    const oldDTRegion = oldProperties?.DTRegion;
+    if (!!oldDTRegion && oldDTRegion !== dtRegion) {
+        throw new Error(`DTRegion cannot be changed from ${oldDTRegion} to ${dtRegion}, please create a new stack instead.`);
+    }
+}
+
+/**
+ * Delete every parameter of the namespace, even with DryRun, except the parameters belonging to another stack.
+ */
 async function deleteParameters(event, context) {
     try {
+        if (isDryRunPhysicalResourceId(event.PhysicalResourceId)) {
+            // The parameters of the namespace belong to another resource, if any.
+            console.log("Resource was created by a dry run, nothing to delete.");
+            return ["SUCCESS", undefined];
+        }
+        const namespace = getParameterNamespace(event);
         const parametersToDelete = [
-            STACK_ID_PARAMETER.Name,
-            RESOURCE_SHARE_ARN_PARAMETER.Name,
-            ATHENA_RESULT_BUCKET_PARAMETER.Name,
-            DATABASE_NAME_PARAMETER.Name,
-            TABLE_NAMES_PARAMETER.Name
+            ...getParameterNamesWithChunks(Object.values(buildParameters(namespace))),
+            ...getResourceShareRegions(event.ResourceProperties)
+                .flatMap(region => getParameterNamesWithChunks(buildRegionParameters(region, namespace)))
         ];
         console.log(`Deleting parameters ${JSON.stringify(parametersToDelete)}..`);
         const dtRegion = getDTRegion(event);
         const ssmClient = new SSMClient({
             region: dtRegion
         });
+        const stackId = event.ResourceProperties.StackId;
+        const existingStackId = await getParameterValue(ssmClient, buildParameters(namespace).stackId.Name);
+        if (existingStackId !== undefined && existingStackId !== stackId) {
+            console.log(`Parameters belong to stack ${existingStackId}, not ${stackId}, skipping deletion.`);
+            return ["SUCCESS", undefined];
+        }
         await deleteSSMParameters(ssmClient, parametersToDelete);
         return ["SUCCESS", undefined];
     } catch (exception) {
@@ -99,36 +570,55 @@ async function deleteParameters(event, context) {
     }
 }
 
-async function deleteSSMParameters(ssmClient, parameterNames) {
-    const input = { // DeleteParametersRequest
-        Names: parameterNames,
-    };
-    const command = new DeleteParametersCommand(input);
-    await ssmClient.send(command);
+/**
+ * Delete parameterNames, at most MAX_DELETE_PARAMETERS per call, or only add the deletion of the existing ones to
+ * plannedActions when given. Parameters which do not exist are ignored.
+ */
+async function deleteSSMParameters(ssmClient, parameterNames, plannedActions) {
+    if (plannedActions) {
+        let existingParameterNames = [];
+        for (const parameterName of parameterNames) {
+            if (await getParameterValue(ssmClient, parameterName) !== undefined) {
+                existingParameterNames.push(parameterName);
+            }
+        }
+        if (existingParameterNames.length > 0) {
+            plannedActions.push({ Action: "DeleteParameters", Names: existingParameterNames });
+        }
+        return;
+    }
+    for (let start = 0; start < parameterNames.length; start += MAX_DELETE_PARAMETERS) {
+        const input = { // DeleteParametersRequest
+            Names: parameterNames.slice(start, start + MAX_DELETE_PARAMETERS),
+        };
+        const command = new DeleteParametersCommand(input);
+        await ssmClient.send(command);
+    }
 }
 
-function getResourceShareArn(event) {
-    const resourceShareArn = event.ResourceProperties.ResourceShareArn;
-    validateResourceShareArn(resourceShareArn);
-    console.log(`resource share arn: ${resourceShareArn}`);
-    return resourceShareArn;
+function getResourceShareArns(event) {
+    const resourceShareArns = parseResourceShareArns(event.ResourceProperties.ResourceShareArn);
+    console.log(`resource share arns: ${JSON.stringify(resourceShareArns)}`);
+    return resourceShareArns;
 }
 
-function validateResourceShareArn(arn) {
-    const resourceShareRegex = new RegExp(RESOURCE_SHARE_ARN_PARAMETER.AllowedPattern);
-    if(!resourceShareRegex.test(arn)) {
-        throw new Error("Invalid ResourceShareArn.");
+/**
+ * Get the regions of the resource shares in properties, or none if they cannot be parsed,
+ * so that an invalid old value does not block deleting the other parameters.
+ */
+function getResourceShareRegions(properties) {
+    try {
+        return parseResourceShareArns(properties?.ResourceShareArn).map(getResourceShareRegion);
+    } catch (error) {
+        console.warn(`Could not read the resource share regions: ${error}`);
+        return [];
     }
 }
 
-function getResourceShareRegion(resourceShareArn) {
-    const captured = /^arn:aws[-\w]{0,10}?:ram:([^:]+):.+/.exec(resourceShareArn);
-    if (!captured || captured.length < 2) {
-        throw new Error("Could not parse region from resource share arn.");
-    }
-    const region = captured[1];
-    validateRegion(region);
-    return region;
+function getParameterNamespace(event) {
+    const namespace = parseParameterNamespace(event.ResourceProperties.ParameterNamespace);
+    console.log(`Parameter namespace: ${namespace ?? "none"}`);
+    return namespace;
 }
 
 function getDTRegion(event) {
@@ -138,13 +628,6 @@ function getDTRegion(event) {
     return region;
 }
 
-function validateRegion(region) {
-    const regionRegex = /[a-z]+(-[a-z]+)+-\d/;
-    if (!regionRegex.test(region)) {
-        throw new Error(`Invalid region: ${region}.`);
-    }
-}
-
 
 function getAthenaResultBucket(event) {
     const bucketRegex = new RegExp(ATHENA_RESULT_BUCKET_PARAMETER.AllowedPattern);
@@ -166,85 +649,157 @@ function getStackId(event) {
     return stackId;
 }
 
+function getMaxListPages(event) {
+    const maxListPages = event.ResourceProperties.MaxListPages ?? DEFAULT_MAX_LIST_PAGES;
+    const parsed = Number(maxListPages);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new Error(`Invalid MaxListPages: ${maxListPages}.`);
+    }
+    return parsed;
+}
+
 /**
- * Get database shared in this resource share arn.
- * Throws error if no database is found.
+ * Get the Security Lake admin account and the database name from the arn of the shared database.
  */
-async function getDatabaseName(ramClient, resourceShareArn) {
-    const databaseArn = await getDatabaseNameArn(ramClient, resourceShareArn);
-    const captured = DATABASE_NAME_CAPTURE_REGEX.exec(databaseArn);
-    if (!captured || captured.length < 2) {
+function getDatabaseArnParts(databaseArn) {
+    const parsed = parseGlueDatabaseArn(databaseArn);
+    if (!parsed) {
         throw new Error("Could not parse database from database arn.");
     }
-    const databaseName = captured[1];
-    console.log(`database name: ${databaseName}`);
-    return databaseName;
+    const { AccountId: securityLakeAdminAccount, DatabaseName: databaseName } = parsed;
+    console.log(`Security Lake admin account: ${securityLakeAdminAccount}, database name: ${databaseName}`);
+    return [securityLakeAdminAccount, databaseName];
 }
 
-async function getDatabaseNameArn(ramClient, resourceShareArn) {
-    const response = await ramClient.send(new ListResourcesCommand({
-        resourceOwner: "OTHER-ACCOUNTS",
-        resourceShareArns: [resourceShareArn],
-        resourceType: "glue:database"
-    }))
-    if (response.resources.length == 0) {
+/**
+ * Get the arn of the database shared in this resource share arn. If the share contains several databases,
+ * the Security Lake database of resourceShareRegion is used.
+ */
+async function getDatabaseNameArn(ramClient, resourceShareArn, resourceShareRegion, maxListPages) {
+    const resources = await listSharedResources(ramClient, resourceShareArn, "glue:database", maxListPages);
+    if (resources.length == 0) {
         throw new Error("Found no database associated with resource share ARN.")
     }
-    return response.resources[0].arn;
+    if (resources.length == 1) {
+        return resources[0].arn;
+    }
+    const expectedDatabaseName = SECURITY_LAKE_DATABASE_PREFIX + resourceShareRegion.replaceAll("-", "_");
+    const databaseArns = resources.map(resource => resource.arn);
+    const matchingArn = databaseArns.find(arn => parseGlueDatabaseArn(arn)?.DatabaseName === expectedDatabaseName);
+    if (!matchingArn) {
+        throw new Error(`Found ${databaseArns.length} databases associated with resource share ARN and none of them is ${expectedDatabaseName}: ${JSON.stringify(databaseArns)}.`);
+    }
+    console.log(`Found ${databaseArns.length} databases associated with resource share ARN, using ${matchingArn}.`);
+    return matchingArn;
 }
 
 /**
- * Get list of table names shared in this resource share arn.
+ * Get list of table names of databaseName shared in this resource share arn.
  * Throws error if no table is found.
  */
-async function getTableNames(ramClient, resourceShareArn) {
-    const tableArns = await getTableArns(ramClient, resourceShareArn);
+async function getTableNames(ramClient, resourceShareArn, databaseName, maxListPages) {
+    const tableArns = await getTableArns(ramClient, resourceShareArn, maxListPages);
     let tableNames = [];
     for (const tableArn of tableArns) {
-        const captured = TABLE_NAME_CAPTURE_REGEX.exec(tableArn);
-        if (!captured || captured.length < 2) {
+        const parsed = parseGlueTableArn(tableArn);
+        if (!parsed) {
             throw new Error("Could not parse table name from table arn.");
         }
-        tableNames.push(captured[1]);
+        if (parsed.DatabaseName !== databaseName) {
+            console.log(`Skipping table ${tableArn} which is not in database ${databaseName}.`);
+            continue;
+        }
+        tableNames.push(parsed.TableName);
+    }
+    if (tableNames.length == 0) {
+        throw new Error(`Found no table of database ${databaseName} associated with resource share ARN.`)
     }
     console.log("Table names: " + JSON.stringify(tableNames));
     return tableNames;
 }
 
-async function getTableArns(ramClient, resourceShareArn) {
-    const response = await ramClient.send(new ListResourcesCommand({
-        resourceOwner: "OTHER-ACCOUNTS",
-        resourceShareArns: [resourceShareArn],
-        resourceType: "glue:table"
-    }))
-    if (response.resources.length == 0) {
-        throw new Error("Found no table associated with resource share ARN.")
+/**
+ * Keep the tables of the given source types, or every table if sourceTypes is empty.
+ * Throws error if no table matches.
+ */
+function restrictTableNames(tableNames, sourceTypes) {
+    if (sourceTypes.length == 0) {
+        return tableNames;
     }
-    let arns = [];
-    for (const resource of response.resources) {
-        arns.push(resource.arn);
+    const matchingTableNames = filterTableNamesBySourceTypes(tableNames, sourceTypes);
+    if (matchingTableNames.length == 0) {
+        throw new Error(`No shared table matches source types ${sourceTypes.join(",")}.`);
     }
-    return arns;
+    console.log(`Table names of source types ${sourceTypes.join(",")}: ${JSON.stringify(matchingTableNames)}`);
+    return matchingTableNames;
+}
+
+async function getTableArns(ramClient, resourceShareArn, maxListPages) {
+    const resources = await listSharedResources(ramClient, resourceShareArn, "glue:table", maxListPages);
+    if (resources.length == 0) {
+        throw new Error("Found no table associated with resource share ARN.")
+    }
+    return resources.map(resource => resource.arn);
+}
+
+/**
+ * List every resource of resourceType shared with this account in resourceShareArn, following nextToken.
+ * Throws error if the result does not fit in maxListPages pages.
+ */
+async function listSharedResources(ramClient, resourceShareArn, resourceType, maxListPages) {
+    let resources = [];
+    let nextToken;
+    let pages = 0;
+    do {
+        if (pages >= maxListPages) {
+            throw new Error(`Listing ${resourceType} resources in resource share ARN exceeded ${maxListPages} pages, increase MaxListPages.`);
+        }
+        const response = await ramClient.send(new ListResourcesCommand({
+            resourceOwner: "OTHER-ACCOUNTS",
+            resourceShareArns: [resourceShareArn],
+            resourceType: resourceType,
+            nextToken: nextToken
+        }))
+        resources.push(...response.resources);
+        nextToken = response.nextToken;
+        pages++;
+    } while (nextToken);
+    return resources;
 }
 
-async function saveParameter(ssmClient, parameter, parameterValue) {
+/**
+ * Save parameter in SSM. An existing parameter is only overwritten when the stack id parameter stackIdParameterName
+ * shows that it belongs to stackId or to a stack which no longer exists.
+ */
+async function saveParameter(ssmClient, parameter, parameterValue, stackId, stackIdParameterName, overwrite = false) {
     const input = { // PutParameterRequest
         Name: parameter.Name, // required
         Description: parameter.Description,
         Value: parameterValue,
         Type: parameter.Type,
         AllowedPattern: parameter.AllowedPattern,
-        Tier: "Standard",
+        Overwrite: overwrite,
     };
     console.log(`Saving parameter ${parameter.Name}...`);
-    const command = new PutParameterCommand(input);
     try {
-        await ssmClient.send(command);
+        await putInStandardTier(parameter.Name, tier => ssmClient.send(new PutParameterCommand({ ...input, Tier: tier })));
     } catch (error) {
         if (error instanceof ParameterAlreadyExists) {
-            const stackId = await getStackIdParameter(ssmClient);
-            if (!!stackId) {
-                console.error(`SSM Parameter ${parameter.Name} already exists, another stack with stack ID ${stackId} created by this template already exists, please delete it first.`);
+            const existingStackId = await getParameterValue(ssmClient, stackIdParameterName);
+            if (!!stackId && existingStackId === stackId) {
+                console.log(`SSM Parameter ${parameter.Name} already exists and was created by this stack, overwriting it...`);
+                await saveParameter(ssmClient, parameter, parameterValue, stackId, stackIdParameterName, true);
+                return;
+            }
+            if (!!existingStackId) {
+                const existingStackStatus = await getStackStatus(existingStackId);
+                if (existingStackStatus === undefined || existingStackStatus === StackStatus.DELETE_COMPLETE) {
+                    // The stack failed or was deleted without removing its parameters, take them over.
+                    console.warn(`SSM Parameter ${parameter.Name} was created by stack ${existingStackId} which no longer exists, taking it over...`);
+                    await saveParameter(ssmClient, parameter, parameterValue, stackId, stackIdParameterName, true);
+                    return;
+                }
+                throw buildStackConflictError(parameter, existingStackId, existingStackStatus);
             } else {
                 console.error(`SSM Parameter ${parameter.Name} already exists, another stack created by this template could already exist, please delete the existing stack before creating a new one.`);
             }
@@ -254,72 +809,74 @@ async function saveParameter(ssmClient, parameter, parameterValue) {
 }
 
 /**
- * Get STACK_ID_PARAMETER in SSM. Return undefined if not found or any error.
+ * Plan what saveParameter would do without writing: read the existing value and, when it was written by another stack,
+ * check that the parameter could be taken over. Unchanged parameters are left out of plannedActions.
  */
-async function getStackIdParameter(ssmClient) {
-    const input = { // GetParameterRequest
-        Name: STACK_ID_PARAMETER.Name,
-    };
-    const command = new GetParameterCommand(input);
-    try {
-        const response = await ssmClient.send(command);
-        return response.Parameter.Value;
-    } catch (exception) {
-        return undefined;
+async function planSaveParameter(ssmClient, parameter, parameterValue, stackId, stackIdParameterName, plannedActions) {
+    const existingValue = await getParameterValue(ssmClient, parameter.Name);
+    if (existingValue === parameterValue) {
+        console.log(`Parameter ${parameter.Name} is unchanged.`);
+        return;
     }
-}
-
-// Send response to the pre-signed S3 URL
-async function sendResponse(event, context, responseStatus, reason) {
-    return new Promise((resolve, reject) => {
-        const responseBody = JSON.stringify({
-            Status: responseStatus,
-            Reason: composeReason(context, reason),
-            PhysicalResourceId: context.logStreamName,
-            StackId: event.StackId,
-            RequestId: event.RequestId,
-            LogicalResourceId: event.LogicalResourceId,
-            Data: {}
-        });
-
-        console.log("RESPONSE BODY:\n", responseBody);
-
-        const parsedUrl = url.parse(event.ResponseURL);
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: 443,
-            path: parsedUrl.path,
-            method: "PUT",
-            headers: {
-                "content-type": "",
-                "content-length": responseBody.length
+    if (existingValue !== undefined) {
+        const existingStackId = await getParameterValue(ssmClient, stackIdParameterName);
+        if (!existingStackId) {
+            throw new Error(`SSM Parameter ${parameter.Name} already exists, another stack created by this template could already exist, please delete the existing stack before creating a new one.`);
+        }
+        if (existingStackId !== stackId) {
+            const existingStackStatus = await getStackStatus(existingStackId);
+            if (existingStackStatus !== undefined && existingStackStatus !== StackStatus.DELETE_COMPLETE) {
+                throw buildStackConflictError(parameter, existingStackId, existingStackStatus);
             }
-        };
-
-        console.log("SENDING RESPONSE...\n");
-
-        const request = https.request(options, function (response) {
-            // Tell AWS Lambda that the function execution is done
-            context.done();
-            resolve();
-        });
+        }
+    }
+    plannedActions.push({ Action: "PutParameter", Name: parameter.Name, Overwrite: existingValue !== undefined });
+}
 
-        request.on("error", function (error) {
-            console.error("sendResponse Error:" + error);
-            // Tell AWS Lambda that the function execution is done
-            context.done();
-            resolve();
-        });
+function buildStackConflictError(parameter, existingStackId, existingStackStatus) {
+    return new Error(`SSM Parameter ${parameter.Name} already exists and belongs to stack ${existingStackId} which is in status ${existingStackStatus}, please delete that stack first or use another ParameterNamespace.`);
+}
 
-        // write data to request body
-        request.write(responseBody);
-        request.end();
+/**
+ * Get the status of the stack stackId, or undefined if it does not exist anymore.
+ * A deleted stack is still described, with status DELETE_COMPLETE, when looked up by its stack id.
+ */
+async function getStackStatus(stackId) {
+    const region = parseStackArn(stackId)?.Region ?? process.env.AWS_REGION;
+    const cloudFormationClient = new CloudFormationClient({
+        region: region
     });
+    try {
+        const response = await cloudFormationClient.send(new DescribeStacksCommand({
+            StackName: stackId
+        }));
+        const stackStatus = response.Stacks?.[0]?.StackStatus;
+        console.log(`Stack ${stackId} is in status ${stackStatus}.`);
+        return stackStatus;
+    } catch (error) {
+        if (error.name === "ValidationError" && /does not exist/.test(error.message)) {
+            console.log(`Stack ${stackId} does not exist.`);
+            return undefined;
+        }
+        throw new Error(`Could not check whether stack ${stackId}, which created the existing parameters, still exists: ${error}`);
+    }
 }
 
-function composeReason(context, reason) {
-    const region = process.env.AWS_REGION;
-    const cwLogUrl = `https://console.aws.amazon.com/cloudwatch/home?region=${region}#logEventViewer:group=${context.logGroupName};stream=${context.logStreamName}`;
-    const cwLogStreamMessage = `See the details in CloudWatch Log Stream: ${cwLogUrl}`;
-    return reason ? `${reason} ${cwLogStreamMessage}` : `${cwLogStreamMessage}`;
+/**
+ * Get value of the SSM parameter parameterName. Return undefined if the parameter does not exist.
+ */
+async function getParameterValue(ssmClient, parameterName) {
+    const input = { // GetParameterRequest
+        Name: parameterName,
+    };
+    const command = new GetParameterCommand(input);
+    try {
+        const response = await ssmClient.send(command);
+        return response.Parameter.Value;
+    } catch (error) {
+        if (error instanceof ParameterNotFound) {
+            return undefined;
+        }
+        throw error;
+    }
 }
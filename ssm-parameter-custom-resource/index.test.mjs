@@ -0,0 +1,98 @@
+'use strict';
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { RAMClient } from "@aws-sdk/client-ram";
+import { SSMClient, ParameterNotFound, ParameterAlreadyExists } from "@aws-sdk/client-ssm";
+import { CloudFormationClient } from "@aws-sdk/client-cloudformation";
+import { handler } from "./index.mjs";
+import { MAX_PARAMETER_VALUE_BYTES } from "./common/parameter-tier.mjs";
+import { context, mockClientCommands, mockCloudFormationResponses } from "./common/test-support.mjs";
+
+process.env.AWS_REGION = "us-east-1";
+
+const DATABASE_ARN = "arn:aws:glue:us-east-1:111111111111:database/amazon_security_lake_glue_db_us_east_1";
+const TABLE_NAMES = ["amazon_security_lake_table_us_east_1_cloud_trail_mgmt_2_0", "amazon_security_lake_table_us_east_1_vpc_flow_2_0"];
+const STACK_ID = "arn:aws:cloudformation:us-east-1:222222222222:stack/stack/1";
+const properties = {
+    ResourceShareArn: "arn:aws:ram:us-east-1:111111111111:resource-share/a",
+    DTRegion: "us-east-1",
+    AthenaResultsBucket: "bucket",
+    StackId: STACK_ID,
+    DryRun: "true"
+};
+const request = {
+    StackId: STACK_ID,
+    RequestId: "request",
+    LogicalResourceId: "SsmParameters",
+    ResponseURL: "https://example.com/response"
+};
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Mock the RAM listings of the resource share, sharing tableNames, and SSM parameters kept in parameters.
+ */
+function mockParameterCommands(parameters, tableNames = TABLE_NAMES) {
+    return mockClientCommands([RAMClient, SSMClient, CloudFormationClient], {
+        ListResourcesCommand: input => input.resourceType === "glue:table"
+            ? { resources: tableNames.map(tableName => ({ arn: `${DATABASE_ARN.replace(":database/", ":table/")}/${tableName}` })) }
+            : { resources: [{ arn: DATABASE_ARN }] },
+        GetParameterCommand: input => {
+            if (!parameters.has(input.Name)) {
+                throw new ParameterNotFound({ message: "Parameter not found.", $metadata: {} });
+            }
+            return { Parameter: { Name: input.Name, Value: parameters.get(input.Name) } };
+        },
+        PutParameterCommand: input => {
+            if (parameters.has(input.Name) && !input.Overwrite) {
+                throw new ParameterAlreadyExists({ message: "Parameter already exists.", $metadata: {} });
+            }
+            parameters.set(input.Name, input.Value);
+            return {};
+        },
+        DeleteParametersCommand: input => {
+            input.Names.forEach(name => parameters.delete(name));
+            return { DeletedParameters: input.Names, InvalidParameters: [] };
+        }
+    });
+}
+
+test("a real update of a dry run creation saves the parameters", async () => {
+    const responses = mockCloudFormationResponses();
+    const parameters = new Map();
+    mockParameterCommands(parameters);
+
+    await handler({ ...request, RequestType: "Create", ResourceProperties: properties }, context);
+    const [dryRunResponse] = responses;
+    assert.equal(dryRunResponse.Status, "SUCCESS");
+    assert.match(dryRunResponse.PhysicalResourceId, /^DryRun-/);
+    assert.equal(parameters.size, 0);
+
+    await handler({
+        ...request,
+        RequestType: "Update",
+        PhysicalResourceId: dryRunResponse.PhysicalResourceId,
+        ResourceProperties: { ...properties, DryRun: "false" },
+        OldResourceProperties: properties
+    }, context);
+    const [, realResponse] = responses;
+    assert.equal(realResponse.Status, "SUCCESS");
+    assert.doesNotMatch(realResponse.PhysicalResourceId, /^DryRun-/);
+    assert.equal(parameters.get("/Detective/SLI/StackId"), STACK_ID);
+    assert.equal(parameters.get("/Detective/SLI/TableNames"), TABLE_NAMES.join(","));
+});
+
+test("table names longer than a parameter value are split into chunk parameters", async () => {
+    const responses = mockCloudFormationResponses();
+    const parameters = new Map();
+    const tableNames = Array.from({ length: 200 }, (_, index) => `amazon_security_lake_table_us_east_1_my_source_${index}_1_0`);
+    mockParameterCommands(parameters, tableNames);
+
+    await handler({ ...request, RequestType: "Create", ResourceProperties: { ...properties, DryRun: "false" } }, context);
+    assert.equal(responses[0].Status, "SUCCESS");
+    const chunkNames = [...parameters.keys()].filter(name => name.startsWith("/Detective/SLI/TableNames/"));
+    assert.ok(chunkNames.length > 0);
+    const values = ["/Detective/SLI/TableNames", ...chunkNames.sort()].map(name => parameters.get(name));
+    assert.ok(values.every(value => Buffer.byteLength(value) <= MAX_PARAMETER_VALUE_BYTES));
+    assert.deepEqual(values.join(",").split(","), tableNames);
+});